@@ -1,20 +1,132 @@
 
-import React, { useState } from 'react';
-import { Shield, Share2, Download, Terminal, Settings } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Shield, Share2, Download, Terminal, Settings, Inbox, KeyRound, RefreshCw } from 'lucide-react';
 import EncodingView from './components/EncodingView';
 import DecodingView from './components/DecodingView';
-import { Chunk, DecodedMedia } from './types';
+import SettingsPanel from './components/SettingsPanel';
+import InboxView from './components/InboxView';
+import KeyringPanel from './components/KeyringPanel';
+import { Contact, DecodedMedia, EncodedPayload, Identity, RecentResult, TransferMap, TransferSettings, TransferSignature } from './types';
+import { loadSettings, saveSettings, resolveMaxChars, describeLimit } from './services/settings';
+import { forgetInWorker } from './services/pipeline';
+import { releaseMedia } from './services/metadata';
+import { registerServiceWorker, takeSharedItems } from './services/pwa';
+import {
+  loadTransfers, saveTransfers, loadEncodeSession, saveEncodeSession, loadRecentResults, saveRecentResults,
+  loadSignatures, saveSignatures, loadIdentity, saveIdentity, loadContacts, saveContacts, loadViewedOnce, saveViewedOnce
+} from './services/storage';
+
+const TABS = ['encode', 'decode', 'inbox'] as const;
+type Tab = typeof TABS[number];
+
+const MAX_RECENT_RESULTS = 10;
 
 const App: React.FC = () => {
-  const [activeTab, setActiveTab] = useState<'encode' | 'decode'>('encode');
+  const [activeTab, setActiveTab] = useState<Tab>('encode');
+  const [showSettings, setShowSettings] = useState(false);
+  const [showKeyring, setShowKeyring] = useState(false);
+  const [settings, setSettings] = useState<TransferSettings>(loadSettings);
+
+  useEffect(() => { saveSettings(settings); }, [settings]);
   
   // Persistent state for Encoding
   const [encodedResult, setEncodedResult] = useState<string[] | null>(null);
   const [lastEncodedFile, setLastEncodedFile] = useState<File | null>(null);
+  const [lastEncodedBundle, setLastEncodedBundle] = useState<File[]>([]);
+  const [encodedPayload, setEncodedPayload] = useState<EncodedPayload | null>(null);
+  const [recentResults, setRecentResults] = useState<RecentResult[]>([]);
 
   // Persistent state for Decoding
-  const [receivedChunks, setReceivedChunks] = useState<Map<number, Chunk>>(new Map());
+  const [receivedChunks, setReceivedChunks] = useState<TransferMap>(new Map());
   const [decodedMedia, setDecodedMedia] = useState<DecodedMedia | null>(null);
+  const [signatures, setSignatures] = useState<TransferSignature[]>([]);
+  const [viewedOnce, setViewedOnce] = useState<string[]>([]);
+
+  // Keyring
+  const [identity, setIdentity] = useState<Identity | null>(null);
+  const [contacts, setContacts] = useState<Contact[]>([]);
+
+  // OS share sheet: text goes to the decoder as a paste, files to the encoder as a selection
+  const [sharedText, setSharedText] = useState("");
+  const [sharedFiles, setSharedFiles] = useState<File[]>([]);
+  const [applyUpdate, setApplyUpdate] = useState<(() => void) | null>(null);
+
+  // Views seed their local state from the props above, so render them only once the inbox is loaded
+  const [hydrated, setHydrated] = useState(false);
+
+  useEffect(() => { registerServiceWorker(apply => setApplyUpdate(() => apply)); }, []);
+
+  useEffect(() => {
+    Promise.all([
+      loadTransfers(), loadEncodeSession(), loadRecentResults(), loadSignatures(), loadIdentity(), loadContacts(), loadViewedOnce()
+    ]).then(([transfers, session, recent, storedSignatures, storedIdentity, storedContacts, storedViewed]) => {
+      setReceivedChunks(transfers);
+      setRecentResults(recent);
+      setSignatures(storedSignatures);
+      setIdentity(storedIdentity);
+      setContacts(storedContacts);
+      setViewedOnce(storedViewed);
+      if (session) {
+        setLastEncodedFile(session.file);
+        setLastEncodedBundle(session.bundle ?? []);
+        setEncodedResult(session.result);
+        setEncodedPayload(session.payload);
+      }
+      setHydrated(true);
+    });
+  }, []);
+
+  // Handed over only after hydration, so a shared paste merges into the stored transfers
+  useEffect(() => {
+    if (!hydrated) return;
+    takeSharedItems().then(items => {
+      if (!items) return;
+      setSharedText(items.text);
+      setSharedFiles(items.files);
+      setActiveTab(items.files.length > 0 ? 'encode' : 'decode');
+    });
+  }, [hydrated]);
+
+  // Written through on every change: the PWA may be killed while the user is in the messenger
+  useEffect(() => { if (hydrated) saveTransfers(receivedChunks); }, [receivedChunks, hydrated]);
+  useEffect(() => {
+    if (hydrated) saveEncodeSession({ file: lastEncodedFile, bundle: lastEncodedBundle, result: encodedResult, payload: encodedPayload });
+  }, [lastEncodedFile, lastEncodedBundle, encodedResult, encodedPayload, hydrated]);
+  useEffect(() => { if (hydrated) saveRecentResults(recentResults); }, [recentResults, hydrated]);
+  useEffect(() => { if (hydrated) saveSignatures(signatures); }, [signatures, hydrated]);
+  useEffect(() => { if (hydrated) saveIdentity(identity); }, [identity, hydrated]);
+  useEffect(() => { if (hydrated) saveContacts(contacts); }, [contacts, hydrated]);
+  useEffect(() => { if (hydrated) saveViewedOnce(viewedOnce); }, [viewedOnce, hydrated]);
+
+  const rememberResult = (result: RecentResult) => {
+    setRecentResults(current => [result, ...current.filter(r => r.transferId !== result.transferId)].slice(0, MAX_RECENT_RESULTS));
+  };
+
+  const openMedia = (media: DecodedMedia) => {
+    if (decodedMedia) releaseMedia(decodedMedia);
+    setDecodedMedia(media);
+    setActiveTab('decode');
+  };
+
+  const deleteTransfer = (transferId: string) => {
+    const next: TransferMap = new Map(receivedChunks);
+    next.delete(transferId);
+    setReceivedChunks(next);
+    forgetInWorker(transferId);
+  };
+
+  const handleWipe = () => {
+    setReceivedChunks(new Map());
+    forgetInWorker();
+    if (decodedMedia) releaseMedia(decodedMedia);
+    setDecodedMedia(null);
+    setSignatures([]);
+    setEncodedResult(null);
+    setLastEncodedFile(null);
+    setLastEncodedBundle([]);
+    setEncodedPayload(null);
+    setRecentResults([]);
+  };
 
   return (
     <div className="min-h-screen bg-[#050505] text-zinc-100 flex flex-col font-sans selection:bg-blue-500/30 overflow-hidden">
@@ -30,18 +142,37 @@ const App: React.FC = () => {
               <span className="text-[7px] font-black text-zinc-500 uppercase tracking-[0.4em]">Protocol Stable v1.2</span>
             </div>
           </div>
-          <button className="w-8 h-8 rounded-full bg-zinc-900 flex items-center justify-center border border-white/5 tap-scale">
-            <Settings size={14} className="text-zinc-500" />
-          </button>
+          <div className="flex gap-2">
+            <button onClick={() => setShowKeyring(!showKeyring)} className={`w-8 h-8 rounded-full flex items-center justify-center border tap-scale transition-all ${showKeyring ? 'bg-blue-600 border-blue-500' : 'bg-zinc-900 border-white/5'}`}>
+              <KeyRound size={14} className={showKeyring ? 'text-white' : 'text-zinc-500'} />
+            </button>
+            <button onClick={() => setShowSettings(!showSettings)} className={`w-8 h-8 rounded-full flex items-center justify-center border tap-scale transition-all ${showSettings ? 'bg-blue-600 border-blue-500' : 'bg-zinc-900 border-white/5'}`}>
+              <Settings size={14} className={showSettings ? 'text-white' : 'text-zinc-500'} />
+            </button>
+          </div>
         </div>
       </header>
 
       {/* Main View Area with Scroll Lock Logic */}
       <main className="flex-1 overflow-y-auto pt-6 px-4 custom-scrollbar">
+        {applyUpdate && (
+          <div className="max-w-xl mx-auto mb-6 p-4 bg-blue-600/10 border border-blue-500/30 rounded-3xl flex items-center justify-between gap-4 animate-fade-in">
+            <p className="flex items-center gap-3 text-blue-400 text-[9px] font-black uppercase tracking-widest"><RefreshCw size={16} /> Update Ready</p>
+            <button onClick={applyUpdate} className="px-5 py-2.5 bg-blue-600 text-white rounded-2xl text-[9px] font-black uppercase tracking-widest tap-scale">Reload</button>
+          </div>
+        )}
+        {showSettings && (
+          <SettingsPanel settings={settings} setSettings={setSettings} onClose={() => setShowSettings(false)} />
+        )}
+        {showKeyring && hydrated && (
+          <KeyringPanel identity={identity} setIdentity={setIdentity} contacts={contacts} setContacts={setContacts} onClose={() => setShowKeyring(false)} />
+        )}
+
         {/* Modern Tab Control - Floating Style */}
         <div className="max-w-xl mx-auto mb-10 bg-zinc-900/40 p-1.5 rounded-2xl border border-white/5 flex gap-1 relative overflow-hidden">
           <div 
-            className={`absolute top-1.5 bottom-1.5 left-1.5 w-[calc(50%-6px)] bg-zinc-800 rounded-xl transition-transform duration-500 cubic-bezier(0.16, 1, 0.3, 1) border border-white/10 shadow-xl ${activeTab === 'decode' ? 'translate-x-full' : 'translate-x-0'}`}
+            className="absolute top-1.5 bottom-1.5 left-1.5 w-[calc(33.333%-4px)] bg-zinc-800 rounded-xl transition-transform duration-500 cubic-bezier(0.16, 1, 0.3, 1) border border-white/10 shadow-xl"
+            style={{ transform: `translateX(${TABS.indexOf(activeTab) * 100}%)` }}
           />
           <button 
             onClick={() => setActiveTab('encode')}
@@ -61,27 +192,64 @@ const App: React.FC = () => {
             <Download size={14} />
             Decode
           </button>
+          <button 
+            onClick={() => setActiveTab('inbox')}
+            className={`flex-1 flex items-center justify-center gap-2 py-3.5 rounded-xl text-[10px] font-black uppercase tracking-widest transition-colors duration-300 relative z-10 ${
+              activeTab === 'inbox' ? 'text-white' : 'text-zinc-500'
+            }`}
+          >
+            <Inbox size={14} />
+            Inbox
+          </button>
         </div>
 
         {/* View Transition Container */}
         <div className="max-w-xl mx-auto relative min-h-[400px]">
-           <div key={activeTab} className="animate-smooth-in">
+           {hydrated && <div key={activeTab} className="animate-smooth-in">
               {activeTab === 'encode' ? (
                 <EncodingView 
                   persistentResult={encodedResult} 
                   setPersistentResult={setEncodedResult}
                   persistentFile={lastEncodedFile}
                   setPersistentFile={setLastEncodedFile}
+                  persistentBundle={lastEncodedBundle}
+                  setPersistentBundle={setLastEncodedBundle}
+                  persistentPayload={encodedPayload}
+                  setPersistentPayload={setEncodedPayload}
+                  maxChars={resolveMaxChars(settings)}
+                  limitName={describeLimit(settings)}
+                  recentResults={recentResults}
+                  onResult={rememberResult}
+                  identity={identity}
+                  contacts={contacts}
+                  incomingFiles={sharedFiles}
+                  onIncomingHandled={() => setSharedFiles([])}
                 />
-              ) : (
+              ) : activeTab === 'decode' ? (
                 <DecodingView 
                   persistentChunks={receivedChunks} 
                   setPersistentChunks={setReceivedChunks}
                   persistentMedia={decodedMedia}
                   setPersistentMedia={setDecodedMedia}
+                  persistentSignatures={signatures}
+                  setPersistentSignatures={setSignatures}
+                  persistentViewed={viewedOnce}
+                  setPersistentViewed={setViewedOnce}
+                  identity={identity}
+                  contacts={contacts}
+                  incomingText={sharedText}
+                  onIncomingHandled={() => setSharedText("")}
+                />
+              ) : (
+                <InboxView
+                  transfers={receivedChunks}
+                  onResume={() => setActiveTab('decode')}
+                  onOpen={openMedia}
+                  onDeleteTransfer={deleteTransfer}
+                  onWipe={handleWipe}
                 />
               )}
-           </div>
+           </div>}
         </div>
       </main>
 
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { Alphabet, Chunk, FileMetadata, MediaType, MESSENGER_LIMITS } from '../types';
+import { missingVolumes, createResendRequest, transferDigest } from '../services/chunker';
+import { mimeForName, isExpired, EXPIRED_ERROR } from '../services/metadata';
+import { packBundle, unpackBundle, bundleName, BUNDLE_MIME, MAX_BUNDLE_ITEMS } from '../services/bundle';
+import { encodeTransfer, decodeTransfer, extractFromExport, readContactCards, extractTransferSignatures, identifySigner } from '../services/protocol';
+import { DEFAULT_SETTINGS, MIN_CUSTOM_CHARS, resolveMaxChars } from '../services/settings';
+
+/**
+ * GhostComm CLI
+ * Same protocol modules as the web app, so volumes go both ways between them.
+ * Files are always sent as-is (type F, several in a bundle): transcoding needs a browser.
+ * There is no keyring here: it encrypts to a pasted contact card and reports signer
+ * fingerprints, signing stays with the app that holds the keys.
+ */
+
+const USAGE = `Usage:
+  ghostcomm encode <file...> [--limit N|safe|high|titan|god] [--alphabet b32k|b91]
+                          [--parity RATIO] [--passphrase TEXT] [--to CARD|FILE] [--out DIR]
+  ghostcomm decode [files...] [--passphrase TEXT] [--out DIR]
+
+encode writes one volume per paragraph to stdout, or one file per volume with --out.
+Several files are sent as one bundle, which decode unpacks again. --to encrypts to the
+contact card (GC2:KC:...) given directly or in a file.
+decode reads volumes from the given text files or chat exports (WhatsApp/Signal .txt,
+Telegram .json/.html), or stdin, and writes every complete transfer under its original name,
+numbered rather than overwriting a file already there. Signed transfers are reported with the signer's key fingerprint. Expired and view-once
+transfers are not written.`;
+
+interface CliOptions {
+  limit?: string;
+  alphabet?: string;
+  parity?: string;
+  passphrase?: string;
+  to?: string;
+  out?: string;
+}
+
+const LEGACY_EXTENSIONS: Record<string, string> = {
+  [MediaType.IMAGE]: 'webp',
+  [MediaType.AUDIO]: 'webm',
+  [MediaType.VIDEO]: 'webm'
+};
+
+const fail = (message: string): never => {
+  process.stderr.write(`ghostcomm: ${message}\n`);
+  process.exit(1);
+};
+
+// A number of characters or one of the messenger profile ids
+const parseLimit = (value: string | undefined): number => {
+  if (!value) return resolveMaxChars(DEFAULT_SETTINGS);
+  const profile = MESSENGER_LIMITS.find(l => l.id === value.toLowerCase());
+  if (profile) return profile.maxChars;
+  const chars = parseInt(value);
+  if (isNaN(chars) || chars < MIN_CUSTOM_CHARS) fail(`--limit must be a profile or at least ${MIN_CUSTOM_CHARS} characters`);
+  return chars;
+};
+
+const parseAlphabet = (value: string | undefined): Alphabet => {
+  if (!value) return Alphabet.BASE32768;
+  const alphabet = Object.values(Alphabet).find(a => a.toLowerCase() === value.toLowerCase());
+  return alphabet ?? fail(`unknown alphabet "${value}", use b32k or b91`);
+};
+
+const parseParity = (value: string | undefined): number => {
+  if (!value) return 0;
+  const ratio = parseFloat(value);
+  if (isNaN(ratio) || ratio < 0) fail('--parity must be a ratio such as 0.25');
+  return ratio;
+};
+
+const parseRecipient = async (value: string | undefined): Promise<string | undefined> => {
+  if (!value) return undefined;
+  const text = value.includes('GC2:KC:') ? value : await readFile(value, 'utf8').catch(() => fail(`cannot read contact card "${value}"`));
+  const [contact] = await readContactCards(text);
+  return contact?.agreementKey ?? fail('--to needs a valid contact card');
+};
+
+const readStdin = async (): Promise<string> => {
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) chunks.push(chunk as Buffer);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// One file as-is, several as a bundle of files
+const readInput = async (files: string[]): Promise<{ type: MediaType; bytes: Uint8Array; meta: FileMetadata }> => {
+  if (files.length === 0) fail('encode needs a file');
+  if (files.length > MAX_BUNDLE_ITEMS) fail(`a bundle holds at most ${MAX_BUNDLE_ITEMS} files`);
+  const entries = await Promise.all(files.map(async f => {
+    const bytes = new Uint8Array(await readFile(f));
+    const name = basename(f);
+    return { type: MediaType.FILE, meta: { name, mime: mimeForName(name), size: bytes.length }, bytes };
+  }));
+  if (entries.length === 1) return entries[0];
+  const bytes = packBundle(entries);
+  return { type: MediaType.BUNDLE, bytes, meta: { name: bundleName(entries.length), mime: BUNDLE_MIME, size: bytes.length } };
+};
+
+const numbered = (name: string, n: number): string => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? `${name.substring(0, dot)} (${n})${name.substring(dot)}` : `${name} (${n})`;
+};
+
+// Never overwrites: a name already in the folder, from an earlier run or a same-named
+// bundle item, gets " (2)", " (3)"... The exclusive flag makes the check and the write one step
+const writeNew = async (dir: string, name: string, bytes: Uint8Array): Promise<string> => {
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? name : numbered(name, n);
+    try {
+      await writeFile(join(dir, candidate), bytes, { flag: 'wx' });
+      return candidate;
+    } catch (e: any) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+};
+
+const encode = async (files: string[], options: CliOptions) => {
+  const { type, bytes, meta } = await readInput(files);
+
+  const { transferId, volumes } = await encodeTransfer(type, bytes, meta, parseLimit(options.limit), {
+    passphrase: options.passphrase,
+    recipientKey: await parseRecipient(options.to),
+    redundancy: parseParity(options.parity),
+    alphabet: parseAlphabet(options.alphabet)
+  });
+
+  if (options.out) {
+    await mkdir(options.out, { recursive: true });
+    await Promise.all(volumes.map((v, i) => writeFile(join(options.out!, `${transferId}_${i + 1}.txt`), v)));
+  } else {
+    process.stdout.write(volumes.join('\n\n') + '\n');
+  }
+  process.stderr.write(`${transferId}: ${volumes.length} volumes\n`);
+};
+
+const decode = async (files: string[], options: CliOptions) => {
+  const inputs = files.length > 0
+    ? await Promise.all(files.map(async f => ({ name: basename(f), text: await readFile(f, 'utf8') })))
+    : [{ name: '', text: await readStdin() }];
+
+  const transfers = new Map<string, Map<number, Chunk>>();
+  const signatures = inputs.flatMap(({ text }) => extractTransferSignatures(text));
+  for (const { name, text } of inputs) {
+    extractFromExport(name, text).forEach((chunks, transferId) => {
+      const volumes = transfers.get(transferId) || new Map<number, Chunk>();
+      chunks.forEach(c => volumes.set(c.index, c));
+      transfers.set(transferId, volumes);
+    });
+  }
+  if (transfers.size === 0) fail('no GC volumes found');
+
+  const outDir = options.out || '.';
+  await mkdir(outDir, { recursive: true });
+  let written = 0;
+  for (const [transferId, volumes] of transfers) {
+    const missing = missingVolumes(volumes);
+    if (missing.length > 0) {
+      const total = volumes.values().next().value!.total;
+      process.stderr.write(`${transferId}: ${volumes.size}/${total} volumes, ask the sender for: ${createResendRequest(transferId, missing)}\n`);
+      continue;
+    }
+    try {
+      const { type, meta, bytes, verified } = await decodeTransfer(volumes, options.passphrase);
+      if (isExpired(meta?.expiresAt)) throw new Error(EXPIRED_ERROR);
+      // Writing it to disk is exactly what the sender ruled out
+      if (meta?.viewOnce) throw new Error("View-once transfer: open it in the app.");
+      const digest = transferDigest(volumes);
+      const signer = digest && await identifySigner(signatures.filter(s => s.transferId === transferId), digest, null, []);
+      const signed = !signer ? '' : signer.status === 'invalid' ? ', SIGNATURE INVALID' : `, signed by key ${signer.fingerprint}`;
+      const check = (verified ? ', SHA-256 verified' : '') + signed;
+      if (meta?.mime === BUNDLE_MIME) {
+        for (const entry of unpackBundle(bytes)) {
+          const name = await writeNew(outDir, entry.meta.name, entry.bytes);
+          process.stderr.write(`${transferId}: wrote ${name} (${entry.bytes.length} bytes${check})\n`);
+        }
+      } else {
+        // Names are already stripped of path separators by unwrapPayload; legacy transfers carry none
+        const name = await writeNew(outDir, meta?.name || `${transferId}.${LEGACY_EXTENSIONS[type] || 'bin'}`, bytes);
+        process.stderr.write(`${transferId}: wrote ${name} (${bytes.length} bytes${check})\n`);
+      }
+      written++;
+    } catch (e: any) {
+      process.stderr.write(`${transferId}: ${e.message}\n`);
+    }
+  }
+  if (written === 0) process.exit(1);
+};
+
+const main = async () => {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      limit: { type: 'string' },
+      alphabet: { type: 'string' },
+      parity: { type: 'string' },
+      passphrase: { type: 'string' },
+      to: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, ...files] = positionals;
+  const options: CliOptions = values;
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  if (command === 'encode') return encode(files, options);
+  if (command === 'decode') return decode(files, options);
+  fail(`unknown command "${command}"\n\n${USAGE}`);
+};
+
+main().catch(e => fail(e instanceof Error ? e.message : String(e)));
@@ -1,59 +1,313 @@
 
 import React, { useState, useEffect, useRef } from 'react';
-import { AlertCircle, Trash2, CheckCircle2, Zap, Loader2, Download, X, Search, Music, Play, Pause, Volume2, ClipboardPaste, Keyboard } from 'lucide-react';
-import { extractAllChunks } from '../services/chunker';
-import { decodeBase32768 } from '../services/encoding';
-import { decompressBytes } from '../services/mediaUtils';
-import { Chunk, DecodedMedia, MediaType } from '../types';
+import { AlertCircle, Trash2, CheckCircle2, Zap, Loader2, Download, X, Search, Music, Play, Pause, Volume2, ClipboardPaste, Keyboard, Lock, ShieldCheck, ShieldAlert, FileText, FileUp, Film, UserCheck, UserX, EyeOff, Timer, ScanQrCode } from 'lucide-react';
+import { missingVolumes, createResendRequest, transferDigest } from '../services/chunker';
+import { extensionForMime, isTextMime, isExpired, mediaFromItem, releaseMedia, EXPIRED_ERROR, VIEWED_ERROR } from '../services/metadata';
+import { saveItem, deleteItem } from '../services/storage';
+import { isSealed } from '../services/crypto';
+import { DIGEST_ERROR, SEALED_ERROR } from '../services/protocol';
+import { extractTransferSignatures, identifySigner, isSealedToKey, KEY_SEALED_ERROR } from '../services/identity';
+import { BUNDLE_ERROR } from '../services/bundle';
+import { extractInWorker, importInWorker, assembleInWorker, openInWorker, forgetInWorker, scanInWorker } from '../services/pipeline';
+import { readFrames } from '../services/mediaUtils';
+import { Chunk, Contact, DecodedMedia, Identity, InboxItem, MediaType, SignerInfo, TransferMap, TransferSignature, QR_FRAME_MS } from '../types';
+
+const DOWNLOAD_STAGGER = 300; // ms; browsers drop downloads clicked in the same tick
+const MAX_VIEWED_ONCE = 500; // Transfer IDs remembered to keep view-once transfers from coming back
+const MAX_TIMER = 0x7FFFFFFF; // setTimeout limit (~24.8 days); longer expiries are checked on the next open
+const QR_SAMPLE_SECONDS = QR_FRAME_MS / 3 / 1000; // Every code of an animated sequence lands in several samples
+
+// Pre-metadata transfers only tell us the media type letter
+const LEGACY_MIME: Record<string, string> = {
+  [MediaType.IMAGE]: 'image/webp',
+  [MediaType.AUDIO]: 'audio/webm',
+  [MediaType.VIDEO]: 'video/webm',
+  [MediaType.FILE]: 'application/octet-stream'
+};
+
+type PreviewKind = 'image' | 'audio' | 'video' | 'pdf' | 'text' | 'file';
+
+const previewKind = (mime: string): PreviewKind => {
+  if (mime.startsWith('image/')) return 'image';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime === 'application/pdf') return 'pdf';
+  if (isTextMime(mime)) return 'text';
+  return 'file';
+};
 
 interface DecodingViewProps {
-  persistentChunks: Map<number, Chunk>;
-  setPersistentChunks: (m: Map<number, Chunk>) => void;
+  persistentChunks: TransferMap;
+  setPersistentChunks: (m: TransferMap) => void;
   persistentMedia: DecodedMedia | null;
   setPersistentMedia: (m: DecodedMedia | null) => void;
+  persistentSignatures: TransferSignature[];
+  setPersistentSignatures: (s: TransferSignature[]) => void;
+  persistentViewed: string[];
+  setPersistentViewed: (ids: string[]) => void;
+  identity: Identity | null;
+  contacts: Contact[];
+  incomingText: string; // From the OS share sheet
+  onIncomingHandled: () => void;
 }
 
 const DecodingView: React.FC<DecodingViewProps> = ({ 
   persistentChunks, setPersistentChunks, 
-  persistentMedia, setPersistentMedia 
+  persistentMedia, setPersistentMedia,
+  persistentSignatures, setPersistentSignatures,
+  persistentViewed, setPersistentViewed,
+  identity, contacts,
+  incomingText, onIncomingHandled
 }) => {
   const [error, setError] = useState<string | null>(null);
   const [isReconstructing, setIsReconstructing] = useState(false);
+  const [rebuildProgress, setRebuildProgress] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [audioProgress, setAudioProgress] = useState(0);
   const [boostActive, setBoostActive] = useState(true);
   const [manualInput, setManualInput] = useState("");
+  const [sealedPayload, setSealedPayload] = useState<{ transferId: string; type: MediaType; bytes: Uint8Array; verified: boolean; digest?: string } | null>(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [resendRequest, setResendRequest] = useState<{ transferId: string; text: string; copied: boolean } | null>(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [scanProgress, setScanProgress] = useState<number | null>(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [activeEntry, setActiveEntry] = useState(0);
+  const [signer, setSigner] = useState<SignerInfo | null>(null);
   
+  const exportInputRef = useRef<HTMLInputElement>(null);
+  const scanInputRef = useRef<HTMLInputElement>(null);
+  // Latest transfers for code that runs after an await; the prop in its closure may be stale
+  const chunksRef = useRef(persistentChunks);
+  chunksRef.current = persistentChunks;
+  const viewOnceRef = useRef<DecodedMedia | null>(null);
+
   const audioRef = useRef<HTMLAudioElement | null>(null);
   const audioCtxRef = useRef<AudioContext | null>(null);
   const gainNodeRef = useRef<GainNode | null>(null);
 
-  const processText = (text: string) => {
+  // Bundles show one item at a time, picked from the gallery
+  const shown = persistentMedia ? persistentMedia.entries?.[activeEntry] ?? persistentMedia : null;
+
+  useEffect(() => { setActiveEntry(0); }, [persistentMedia]);
+  useEffect(() => { setIsPlaying(false); setAudioProgress(0); }, [shown]);
+
+  const closeMedia = () => {
+    if (persistentMedia) releaseMedia(persistentMedia);
+    viewOnceRef.current = null;
+    setPersistentMedia(null);
+  };
+
+  // View-once: its volumes go and its ID is remembered the moment it is shown, so pasting the
+  // volumes again does not bring it back. The object URLs go when the view is left.
+  useEffect(() => {
+    viewOnceRef.current = persistentMedia?.viewOnce ? persistentMedia : null;
+    if (!persistentMedia?.viewOnce) return;
+    const media = persistentMedia;
+    if (!persistentViewed.includes(media.transferId)) setPersistentViewed([...persistentViewed, media.transferId].slice(-MAX_VIEWED_ONCE));
+    dropTransfer(media.transferId);
+    return () => releaseMedia(media);
+  }, [persistentMedia]);
+
+  useEffect(() => () => { if (viewOnceRef.current) setPersistentMedia(null); }, []);
+
+  // Expiring transfers disappear while open, and from the inbox
+  useEffect(() => {
+    const expiresAt = persistentMedia?.expiresAt;
+    if (expiresAt === undefined) return;
+    const remaining = expiresAt - Date.now();
+    if (remaining > MAX_TIMER) return;
+    const timer = setTimeout(() => {
+      deleteItem(persistentMedia!.transferId);
+      closeMedia();
+      setError(EXPIRED_ERROR);
+    }, Math.max(0, remaining));
+    return () => clearTimeout(timer);
+  }, [persistentMedia]);
+
+  // Signatures may arrive before or after the volumes, and contacts may be added later
+  useEffect(() => {
+    setSigner(null);
+    if (!persistentMedia?.digest) return;
+    let cancelled = false;
+    const signatures = persistentSignatures.filter(s => s.transferId === persistentMedia.transferId);
+    identifySigner(signatures, persistentMedia.digest, identity, contacts).then(info => { if (!cancelled) setSigner(info); });
+    return () => { cancelled = true; };
+  }, [persistentMedia, persistentSignatures, identity, contacts]);
+
+  const transferTotal = (volumes: Map<number, Chunk>): number => volumes.values().next().value?.total ?? 0;
+
+  const isComplete = (volumes: Map<number, Chunk>): boolean => volumes.size > 0 && volumes.size >= transferTotal(volumes);
+
+  // Signature messages are kept apart from the volumes, they may come before the transfer is complete
+  const mergeSignatures = (text: string): TransferSignature[] => {
+    const found = extractTransferSignatures(text).filter(f => !persistentSignatures.some(s => s.transferId === f.transferId && s.signature === f.signature));
+    if (found.length > 0) setPersistentSignatures([...persistentSignatures, ...found]);
+    return found;
+  };
+
+  // Volumes of view-once transfers already shown are dropped on arrival
+  const withoutViewed = (found: Map<string, Chunk[]>): Map<string, Chunk[]> => {
+    const kept = new Map(Array.from(found).filter(([transferId]) => !persistentViewed.includes(transferId)));
+    found.forEach((_, transferId) => { if (!kept.has(transferId)) forgetInWorker(transferId); });
+    return kept;
+  };
+
+  // Adds found volumes to the open transfers; returns the merged map and the IDs that are now complete
+  const mergeFound = (found: Map<string, Chunk[]>): { transfers: TransferMap; complete: string[] } => {
+    const newTransfers: TransferMap = new Map(chunksRef.current);
+    found.forEach((chunks, transferId) => {
+      const volumes = new Map<number, Chunk>(newTransfers.get(transferId) || []);
+      chunks.forEach(c => volumes.set(c.index, c));
+      newTransfers.set(transferId, volumes);
+    });
+    chunksRef.current = newTransfers;
+    setPersistentChunks(newTransfers);
+    setError(null);
+    return { transfers: newTransfers, complete: Array.from(found.keys()).filter(id => isComplete(newTransfers.get(id)!)) };
+  };
+
+  // Every transfer that came complete is rebuilt in turn. Rebuilding on would replace a
+  // view-once item before anyone saw it, so that one ends the run; returns false when it did
+  const rebuildComplete = async (complete: string[], transfers: TransferMap): Promise<boolean> => {
+    for (let i = 0; i < complete.length; i++) {
+      const media = await handleRebuild(complete[i], transfers.get(complete[i])!);
+      if (media?.viewOnce) {
+        if (i + 1 < complete.length) setError(`${complete.length - i - 1} More Complete Transfers: Rebuild Them Below`);
+        return false;
+      }
+    }
+    return true;
+  };
+
+  const processText = async (text: string) => {
     if (!text || !text.trim()) return;
     try {
-      const chunks = extractAllChunks(text);
-      if (chunks.length === 0) {
-        if (text.includes("GC:")) setError("Missing GC Protocol signature.");
+      const signatures = mergeSignatures(text);
+      const extracted = await extractInWorker(text);
+      const found = withoutViewed(extracted);
+      if (found.size === 0) {
+        if (extracted.size > 0) {
+          setManualInput("");
+          setError(VIEWED_ERROR);
+        } else if (signatures.length > 0) {
+          setManualInput("");
+          setError(`Signature Received for ${signatures[0].transferId}`);
+        } else if (text.includes("GC")) setError("Missing GC Protocol signature.");
         return;
       }
       
-      const newMap = new Map<number, Chunk>(persistentChunks);
-      chunks.forEach(c => newMap.set(c.index, c));
-      setPersistentChunks(newMap);
+      const { transfers: newTransfers, complete } = mergeFound(found);
       setManualInput(""); 
-      setError(null);
       
-      const first = chunks[0];
-      if (newMap.size >= first.total) {
-        handleRebuild(newMap);
+      if (complete.length > 0) {
+        await rebuildComplete(complete, newTransfers);
       } else {
-        setError(`Syncing: ${newMap.size}/${first.total} Packets Received`);
+        const touched = found.keys().next().value!;
+        const volumes = newTransfers.get(touched)!;
+        setError(`Syncing ${touched}: ${volumes.size}/${transferTotal(volumes)} Packets Received`);
       }
     } catch (e: any) {
       setError("Protocol mismatch: Data corruption.");
     }
   };
 
+  // Whole chat histories: every complete transfer in them is rebuilt and lands in the inbox
+  const importExports = async (files: File[]) => {
+    if (files.length === 0) return;
+    setIsImporting(true);
+    setError(null);
+    try {
+      const found = new Map<string, Chunk[]>();
+      let content = '';
+      for (const file of files) {
+        const text = await file.text();
+        content += text + '\n';
+        const chunks = await importInWorker(file.name, text);
+        chunks.forEach((list, transferId) => found.set(transferId, [...(found.get(transferId) || []), ...list]));
+      }
+      mergeSignatures(content);
+      const fresh = withoutViewed(found);
+      if (fresh.size === 0) {
+        setError(found.size === 0 ? "No GC volumes found in export." : VIEWED_ERROR);
+        return;
+      }
+
+      const { transfers: newTransfers, complete } = mergeFound(fresh);
+      if (!(await rebuildComplete(complete, newTransfers))) return;
+      const pending = fresh.size - complete.length;
+      if (pending > 0) setError(`Imported ${fresh.size} Transfers: ${pending} Still Missing Volumes`);
+    } catch (e: any) {
+      setError(e.message || "Export could not be read.");
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Photos, screenshots and screen recordings of QR volumes: every code found goes in as one paste
+  const scanQrFiles = async (files: File[]) => {
+    if (files.length === 0) return;
+    setScanProgress(0);
+    setError(null);
+    try {
+      const texts = new Set<string>();
+      for (let i = 0; i < files.length; i++) {
+        await readFrames(files[i], QR_SAMPLE_SECONDS, async (frame, fraction) => {
+          (await scanInWorker(frame)).forEach(text => texts.add(text));
+          setScanProgress((i + fraction) / files.length);
+        });
+      }
+      if (texts.size === 0) {
+        setError("No QR Codes Found");
+        return;
+      }
+      await processText(Array.from(texts).join('\n'));
+    } catch (e: any) {
+      setError(typeof e === 'string' ? e : e.message || "Media could not be read.");
+    } finally {
+      setScanProgress(null);
+    }
+  };
+
+  // Text from the OS share sheet reads as a paste
+  useEffect(() => {
+    if (!incomingText) return;
+    processText(incomingText);
+    onIncomingHandled();
+  }, [incomingText]);
+
+  const isVisual = (file: File): boolean => file.type.startsWith('image/') || file.type.startsWith('video/');
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setDragActive(false);
+    const files: File[] = Array.from(e.dataTransfer.files);
+    scanQrFiles(files.filter(isVisual));
+    importExports(files.filter(f => !isVisual(f)));
+  };
+
+  const dropTransfer = (transferId: string) => {
+    const newTransfers: TransferMap = new Map(chunksRef.current);
+    newTransfers.delete(transferId);
+    chunksRef.current = newTransfers;
+    setPersistentChunks(newTransfers);
+    forgetInWorker(transferId);
+    if (sealedPayload?.transferId === transferId) setSealedPayload(null);
+  };
+
+  // Control message for the sender, listing the data volumes still missing
+  const requestMissing = async (transferId: string, volumes: Map<number, Chunk>) => {
+    const text = createResendRequest(transferId, missingVolumes(volumes));
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(text);
+      copied = true;
+    } catch (err) {
+      // Shown below for manual copying
+    }
+    setResendRequest({ transferId, text, copied });
+  };
+
   const handleClipboardAuto = async () => {
     try {
       const text = await navigator.clipboard.readText();
@@ -64,32 +318,91 @@ const DecodingView: React.FC<DecodingViewProps> = ({
     }
   };
 
-  const handleRebuild = async (map: Map<number, Chunk>) => {
+  // Resolves to what is now on screen, null if nothing is (error, passphrase prompt)
+  const handleRebuild = async (transferId: string, map: Map<number, Chunk>): Promise<DecodedMedia | null> => {
     setIsReconstructing(true);
+    setRebuildProgress(0);
     setError(null);
     try {
-      const sortedIndices = Array.from(map.keys()).sort((a, b) => a - b);
-      const combinedPayload = sortedIndices.map(i => map.get(i)!.payload).join('');
-      const firstChunk = map.get(sortedIndices[0])!;
-      const compressed = decodeBase32768(combinedPayload);
-      const raw = await decompressBytes(compressed);
-      
-      let mime = 'image/webp';
-      if (firstChunk.type === MediaType.AUDIO) mime = 'audio/webm';
-      if (firstChunk.type === MediaType.VIDEO) mime = 'video/mp4';
-      
-      setPersistentMedia({
-        type: firstChunk.type,
-        dataUrl: URL.createObjectURL(new Blob([raw], { type: mime })),
-        size: raw.length
-      });
+      const firstChunk = map.values().next().value!;
+      // v2 transfers announce a SHA-256 of the payload; it is checked before touching the bytes
+      const { payload, verified } = await assembleInWorker(transferId, map, fraction => setRebuildProgress(Math.round(fraction * 100)));
+      const assembled = { transferId, type: firstChunk.type, bytes: payload, verified, digest: transferDigest(map) };
+
+      if (isSealed(payload)) {
+        // Hold the ciphertext until the user supplies the passphrase
+        setSealedPayload(assembled);
+        return null;
+      }
+      if (isSealedToKey(payload) && !identity) throw new Error(KEY_SEALED_ERROR);
+      try {
+        return await finalizeMedia(assembled.transferId, assembled.type, assembled.bytes, assembled.verified, assembled.digest);
+      } catch (e: any) {
+        // Encrypted to us and sealed with a passphrase on top
+        if (e.message !== SEALED_ERROR) throw e;
+        setSealedPayload(assembled);
+        return null;
+      }
+    } catch (e: any) {
+      const known = [DIGEST_ERROR, BUNDLE_ERROR, KEY_SEALED_ERROR, EXPIRED_ERROR, VIEWED_ERROR];
+      setError(known.includes(e.message) ? e.message : "Checksum Failed: Integrity Error.");
+      return null;
+    } finally {
+      setIsReconstructing(false);
+    }
+  };
+
+  const handleUnlock = async () => {
+    if (!sealedPayload || !passphrase) return;
+    setIsReconstructing(true);
+    setError(null);
+    try {
+      await finalizeMedia(sealedPayload.transferId, sealedPayload.type, sealedPayload.bytes, sealedPayload.verified, sealedPayload.digest, passphrase);
+      setSealedPayload(null);
+      setPassphrase("");
     } catch (e: any) {
-      setError("Checksum Failed: Integrity Error.");
+      setError(e.message);
     } finally {
       setIsReconstructing(false);
     }
   };
 
+  const finalizeMedia = async (
+    transferId: string, type: MediaType, payload: Uint8Array, verified: boolean, digest?: string, passphrase?: string
+  ): Promise<DecodedMedia> => {
+    const { meta, bytes } = await openInWorker(payload, passphrase, identity?.agreement.privateKey);
+    const mime = meta?.mime || LEGACY_MIME[type] || 'application/octet-stream';
+    const name = meta?.name || `GHOSTCOMM_SYNC_${Date.now()}.${extensionForMime(mime)}`;
+
+    if (isExpired(meta?.expiresAt)) {
+      dropTransfer(transferId);
+      throw new Error(EXPIRED_ERROR);
+    }
+    if (meta?.viewOnce && persistentViewed.includes(transferId)) throw new Error(VIEWED_ERROR);
+
+    const item: InboxItem = { transferId, type, name, mime, size: bytes.length, verified, receivedAt: Date.now(), bytes, digest, expiresAt: meta?.expiresAt };
+    // Unpacks bundles, so a damaged one fails here instead of in the inbox
+    const media = mediaFromItem(item);
+    if (meta?.viewOnce) {
+      // Never stored: the inbox would bring it back
+      const once = { ...media, viewOnce: true };
+      setPersistentMedia(once);
+      return once;
+    }
+    await saveItem(item);
+    setPersistentMedia(media);
+    return media;
+  };
+
+  const downloadAll = (entries: DecodedMedia[]) => {
+    entries.forEach((entry, i) => setTimeout(() => {
+      const link = document.createElement('a');
+      link.href = entry.dataUrl;
+      link.download = entry.name;
+      link.click();
+    }, i * DOWNLOAD_STAGGER));
+  };
+
   const setupAudioContext = () => {
     if (!audioRef.current || audioCtxRef.current) return;
     const audioCtx = new (window.AudioContext || (window as any).webkitAudioContext)();
@@ -121,7 +434,7 @@ const DecodingView: React.FC<DecodingViewProps> = ({
 
   return (
     <div className="space-y-6 pb-20">
-      {!persistentMedia ? (
+      {!persistentMedia || !shown ? (
         <div className="bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl space-y-8 overflow-hidden animate-slide-up">
            <div className="pt-6 flex flex-col items-center gap-4">
              <div className="w-20 h-20 bg-blue-600/5 rounded-3xl flex items-center justify-center border border-blue-500/10 shadow-2xl relative">
@@ -134,7 +447,12 @@ const DecodingView: React.FC<DecodingViewProps> = ({
              </div>
            </div>
 
-           <div className="space-y-6 px-2">
+           <div
+             onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+             onDragLeave={() => setDragActive(false)}
+             onDrop={handleDrop}
+             className={`space-y-6 px-2 rounded-[2rem] transition-all ${dragActive ? 'ring-2 ring-blue-500/40 bg-blue-600/5' : ''}`}
+           >
               <div className="relative group">
                  <div className="absolute -top-3 left-6 px-3 bg-[#111] text-[8px] font-black text-blue-500 uppercase tracking-[0.3em] z-10 border border-white/5 rounded-full">Manual Terminal</div>
                  <textarea
@@ -162,21 +480,108 @@ const DecodingView: React.FC<DecodingViewProps> = ({
                 <ClipboardPaste size={18} />
                 Auto-Link Clipboard
               </button>
+
+              <button 
+                onClick={() => exportInputRef.current?.click()}
+                disabled={isImporting}
+                className="w-full py-5 bg-zinc-900/60 hover:bg-zinc-800 text-zinc-300 rounded-3xl font-black text-[10px] uppercase tracking-[0.2em] flex items-center justify-center gap-3 tap-scale transition-all border border-white/5 shadow-xl disabled:opacity-50"
+              >
+                {isImporting ? <Loader2 size={18} className="animate-spin" /> : <FileUp size={18} />}
+                Import Chat Export
+              </button>
+              <p className="text-center text-[8px] text-zinc-600 font-black uppercase tracking-widest">WhatsApp · Telegram · Signal — .txt .json .html, or drop files here</p>
+
+              <button
+                onClick={() => scanInputRef.current?.click()}
+                disabled={scanProgress !== null}
+                className="w-full py-5 bg-zinc-900/60 hover:bg-zinc-800 text-zinc-300 rounded-3xl font-black text-[10px] uppercase tracking-[0.2em] flex items-center justify-center gap-3 tap-scale transition-all border border-white/5 shadow-xl disabled:opacity-50"
+              >
+                {scanProgress !== null ? <Loader2 size={18} className="animate-spin" /> : <ScanQrCode size={18} />}
+                {scanProgress !== null ? `Scanning ${Math.round(scanProgress * 100)}%` : "Scan QR Codes"}
+              </button>
+              <p className="text-center text-[8px] text-zinc-600 font-black uppercase tracking-widest">Photos · Screenshots · Screen Recordings</p>
+              <input
+                type="file"
+                ref={scanInputRef}
+                accept="image/*,video/*"
+                multiple
+                onChange={(e) => { scanQrFiles(Array.from(e.target.files || [])); e.target.value = ""; }}
+                className="hidden"
+              />
+              <input
+                type="file"
+                ref={exportInputRef}
+                accept=".txt,.json,.html,.htm,text/plain,application/json,text/html"
+                multiple
+                onChange={(e) => { importExports(Array.from(e.target.files || [])); e.target.value = ""; }}
+                className="hidden"
+              />
            </div>
 
+           {sealedPayload && (
+             <div className="bg-black/40 border border-blue-500/20 p-6 rounded-[2.5rem] space-y-4 animate-fade-in mx-2 shadow-inner">
+                <div className="flex items-center gap-2 text-[9px] font-black text-blue-400 uppercase tracking-widest">
+                   <Lock size={12} /> Sealed Transmission
+                </div>
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') handleUnlock(); }}
+                  placeholder="ENTER PASSPHRASE"
+                  autoComplete="off"
+                  className="w-full py-4 px-6 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-3xl text-[11px] font-mono text-blue-400 outline-none transition-all shadow-inner tracking-widest"
+                />
+                <button
+                  onClick={handleUnlock}
+                  disabled={!passphrase || isReconstructing}
+                  className="w-full py-4 bg-blue-600 text-white rounded-3xl font-black text-[10px] uppercase tracking-[0.2em] flex items-center justify-center gap-3 tap-scale transition-all disabled:opacity-50"
+                >
+                  {isReconstructing ? <Loader2 size={16} className="animate-spin" /> : <Lock size={16} />}
+                  Unseal Payload
+                </button>
+             </div>
+           )}
+
            {persistentChunks.size > 0 && (
              <div className="bg-black/40 border border-white/5 p-6 rounded-[2.5rem] space-y-4 animate-fade-in mx-2 shadow-inner">
                 <div className="flex justify-between items-center text-[9px] font-black text-zinc-500 uppercase tracking-widest">
                    <span className="flex items-center gap-2">
                      <Loader2 size={12} className="animate-spin text-blue-500" /> 
-                     {isReconstructing ? 'Compiling Media...' : 'Receiving Chunks...'}
+                     {isReconstructing ? `Compiling Media... ${rebuildProgress}%` : 'Receiving Chunks...'}
                    </span>
-                   <span className="text-blue-400 bg-blue-900/20 px-3 py-1 rounded-full border border-blue-500/10">{persistentChunks.size} Volumes Sync'd</span>
-                </div>
-                <div className="h-1 bg-zinc-900 rounded-full overflow-hidden relative">
-                   <div className="h-full bg-blue-500 w-full animate-[shimmer_2s_infinite] bg-gradient-to-r from-blue-600 via-blue-300 to-blue-600 bg-[length:200%_100%]" />
+                   <span className="text-blue-400 bg-blue-900/20 px-3 py-1 rounded-full border border-blue-500/10">{persistentChunks.size} Transfers Open</span>
                 </div>
-                <button onClick={() => { setPersistentChunks(new Map()); setError(null); }} className="text-red-500/40 hover:text-red-500 text-[8px] font-black uppercase tracking-[0.2em] flex items-center gap-1.5 mx-auto transition-all py-1">
+                {Array.from(persistentChunks.entries()).map(([transferId, volumes]) => {
+                  const total = transferTotal(volumes);
+                  return (
+                    <div key={transferId} className="space-y-2">
+                      <div className="flex justify-between items-center text-[8px] font-black uppercase tracking-widest">
+                         <span className="font-mono text-zinc-400">{transferId}</span>
+                         <span className="flex items-center gap-3">
+                           {isComplete(volumes) && !isReconstructing && (
+                             <button onClick={() => handleRebuild(transferId, volumes)} className="text-blue-400 hover:text-white transition-all tap-scale">Rebuild</button>
+                           )}
+                           {missingVolumes(volumes).length > 0 && (
+                             <button onClick={() => requestMissing(transferId, volumes)} className="text-blue-400 hover:text-white transition-all tap-scale">Request Missing</button>
+                           )}
+                           <span className="text-zinc-500">{volumes.size}/{total}</span>
+                           <button onClick={() => dropTransfer(transferId)} className="text-red-500/40 hover:text-red-500 transition-all tap-scale"><X size={10} /></button>
+                         </span>
+                      </div>
+                      <div className="h-1 bg-zinc-900 rounded-full overflow-hidden relative">
+                         <div className="h-full bg-blue-500 transition-all duration-300" style={{ width: `${total ? Math.min(1, volumes.size / total) * 100 : 0}%` }} />
+                      </div>
+                      {resendRequest?.transferId === transferId && (
+                        <div className="space-y-1.5 animate-fade-in">
+                          <p className="text-[8px] font-black uppercase tracking-widest text-zinc-500">{resendRequest.copied ? 'Request copied, paste it to the sender' : 'Send this to the sender'}</p>
+                          <p className="bg-black border border-white/5 rounded-xl p-3 font-mono text-[10px] text-blue-400 break-all select-all">{resendRequest.text}</p>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+                <button onClick={() => { setPersistentChunks(new Map()); forgetInWorker(); setSealedPayload(null); setError(null); }} className="text-red-500/40 hover:text-red-500 text-[8px] font-black uppercase tracking-[0.2em] flex items-center gap-1.5 mx-auto transition-all py-1">
                   <Trash2 size={10}/> Clear Sync Buffer
                 </button>
              </div>
@@ -191,12 +596,86 @@ const DecodingView: React.FC<DecodingViewProps> = ({
                <CheckCircle2 className="text-green-500" size={48} />
              </div>
              <h2 className="text-xl font-black text-white tracking-tight uppercase">Media Decrypted</h2>
+             {persistentMedia.verified ? (
+               <span className="flex items-center gap-2 px-4 py-1.5 bg-green-500/10 border border-green-500/20 rounded-full text-[8px] font-black text-green-400 uppercase tracking-[0.2em]">
+                 <ShieldCheck size={12} /> SHA-256 Verified
+               </span>
+             ) : (
+               <span className="flex items-center gap-2 px-4 py-1.5 bg-zinc-900 border border-white/5 rounded-full text-[8px] font-black text-zinc-500 uppercase tracking-[0.2em]">
+                 <ShieldAlert size={12} /> Unverified Legacy Transfer
+               </span>
+             )}
+             {persistentMedia.viewOnce && (
+               <span className="flex items-center gap-2 px-4 py-1.5 bg-amber-500/10 border border-amber-500/20 rounded-full text-[8px] font-black text-amber-400 uppercase tracking-[0.2em]">
+                 <EyeOff size={12} /> View Once · Gone When You Leave
+               </span>
+             )}
+             {persistentMedia.expiresAt !== undefined && (
+               <span className="flex items-center gap-2 px-4 py-1.5 bg-amber-500/10 border border-amber-500/20 rounded-full text-[8px] font-black text-amber-400 uppercase tracking-[0.2em]">
+                 <Timer size={12} /> Expires {new Date(persistentMedia.expiresAt).toLocaleString()}
+               </span>
+             )}
+             {signer && (signer.status === 'contact' || signer.status === 'self') && (
+               <span className="flex items-center gap-2 px-4 py-1.5 bg-green-500/10 border border-green-500/20 rounded-full text-[8px] font-black text-green-400 uppercase tracking-[0.2em]">
+                 <UserCheck size={12} /> Signed by {signer.status === 'self' ? 'You' : signer.name}
+               </span>
+             )}
+             {signer?.status === 'unknown' && (
+               <span className="flex flex-col items-center gap-1 px-4 py-1.5 bg-amber-500/10 border border-amber-500/20 rounded-2xl text-[8px] font-black text-amber-400 uppercase tracking-[0.2em]">
+                 <span className="flex items-center gap-2"><ShieldAlert size={12} /> Unknown Signer</span>
+                 <span className="font-mono tabular-nums normal-case tracking-widest">{signer.fingerprint}</span>
+               </span>
+             )}
+             {signer?.status === 'invalid' && (
+               <span className="flex items-center gap-2 px-4 py-1.5 bg-red-500/10 border border-red-500/20 rounded-full text-[8px] font-black text-red-400 uppercase tracking-[0.2em]">
+                 <UserX size={12} /> Signature Invalid
+               </span>
+             )}
            </div>
 
+           {persistentMedia.entries && (
+             <div className="space-y-3">
+               <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em]">{persistentMedia.entries.length} Items · Tap To Preview</p>
+               <div className="grid grid-cols-4 gap-2">
+                 {persistentMedia.entries.map((entry, i) => (
+                   <button
+                     key={i}
+                     onClick={() => setActiveEntry(i)}
+                     className={`aspect-square bg-zinc-950 rounded-xl overflow-hidden border flex items-center justify-center tap-scale transition-all ${activeEntry === i ? 'border-blue-500' : 'border-white/5 opacity-60'}`}
+                   >
+                     {previewKind(entry.mime) === 'image' ? <img src={entry.dataUrl} className="w-full h-full object-cover" />
+                       : previewKind(entry.mime) === 'video' ? <Film size={20} className="text-zinc-500" />
+                       : previewKind(entry.mime) === 'audio' ? <Music size={20} className="text-zinc-500" />
+                       : <FileText size={20} className="text-zinc-500" />}
+                   </button>
+                 ))}
+               </div>
+             </div>
+           )}
+
            <div className="bg-black border border-white/5 rounded-[2.5rem] overflow-hidden relative shadow-2xl">
-              {persistentMedia.type === MediaType.IMAGE && <img src={persistentMedia.dataUrl} className="w-full h-auto p-4 transition-transform duration-700 hover:scale-110" />}
+              {previewKind(shown.mime) === 'image' && <img src={shown.dataUrl} onContextMenu={(e) => { if (persistentMedia.viewOnce) e.preventDefault(); }} className="w-full h-auto p-4 transition-transform duration-700 hover:scale-110" />}
               
-              {persistentMedia.type === MediaType.AUDIO && (
+              {previewKind(shown.mime) === 'video' && (
+                <video src={shown.dataUrl} controls controlsList={persistentMedia.viewOnce ? 'nodownload' : undefined} onContextMenu={(e) => { if (persistentMedia.viewOnce) e.preventDefault(); }} playsInline className="w-full h-auto" />
+              )}
+
+              {previewKind(shown.mime) === 'pdf' && (
+                <iframe src={shown.dataUrl} title={shown.name} className="w-full h-[420px] bg-white" />
+              )}
+
+              {previewKind(shown.mime) === 'text' && (
+                <pre className="p-6 max-h-80 overflow-auto custom-scrollbar text-left text-[10px] font-mono text-zinc-300 whitespace-pre-wrap break-all leading-relaxed">{shown.textPreview}</pre>
+              )}
+
+              {previewKind(shown.mime) === 'file' && (
+                <div className="p-10 flex flex-col items-center gap-4">
+                  <FileText size={48} className="text-blue-500" />
+                  <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest">No Preview Available</p>
+                </div>
+              )}
+
+              {previewKind(shown.mime) === 'audio' && (
                 <div className="p-8 space-y-10 flex flex-col items-center">
                    <div className="w-28 h-28 bg-zinc-950 border border-white/5 rounded-[2.5rem] flex items-center justify-center shadow-2xl relative overflow-hidden group">
                       <div className="absolute inset-0 bg-blue-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-500" />
@@ -241,7 +720,7 @@ const DecodingView: React.FC<DecodingViewProps> = ({
                    
                    <audio 
                      ref={audioRef}
-                     src={persistentMedia.dataUrl} 
+                     src={shown.dataUrl} 
                      onTimeUpdate={() => setAudioProgress((audioRef.current!.currentTime / audioRef.current!.duration) * 100)}
                      onPlay={() => setIsPlaying(true)}
                      onPause={() => setIsPlaying(false)}
@@ -253,10 +732,21 @@ const DecodingView: React.FC<DecodingViewProps> = ({
            </div>
 
            <div className="flex flex-col gap-5 px-2 pb-4">
-              <a href={persistentMedia.dataUrl} download={`GHOSTCOMM_SYNC_${Date.now()}`} className="w-full py-6 bg-blue-600 hover:bg-blue-500 text-white rounded-3xl font-black text-xs uppercase tracking-[0.3em] flex items-center justify-center gap-3 border-b-4 border-blue-900 shadow-2xl tap-scale transition-all">
-                <Download size={22} /> Save Payload
-              </a>
-              <button onClick={() => { setPersistentChunks(new Map()); setPersistentMedia(null); }} className="text-zinc-500 hover:text-white text-[9px] font-black uppercase tracking-[0.4em] transition-all py-2 tap-scale">Initiate New Assembly</button>
+              <div className="text-center">
+                <p className="text-white font-bold text-sm truncate max-w-xs mx-auto mb-1">{shown.name}</p>
+                <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest">{shown.mime} · {(shown.size / 1024).toFixed(1)} KB</p>
+              </div>
+              {!persistentMedia.viewOnce && (
+                <a href={shown.dataUrl} download={shown.name} className="w-full py-6 bg-blue-600 hover:bg-blue-500 text-white rounded-3xl font-black text-xs uppercase tracking-[0.3em] flex items-center justify-center gap-3 border-b-4 border-blue-900 shadow-2xl tap-scale transition-all">
+                  <Download size={22} /> Save Payload
+                </a>
+              )}
+              {persistentMedia.entries && !persistentMedia.viewOnce && (
+                <button onClick={() => downloadAll(persistentMedia.entries!)} className="w-full py-5 bg-zinc-900 hover:bg-zinc-800 text-white rounded-3xl font-black text-[10px] uppercase tracking-[0.3em] flex items-center justify-center gap-3 border border-white/5 shadow-xl tap-scale transition-all">
+                  <Download size={18} /> Download All ({persistentMedia.entries.length})
+                </button>
+              )}
+              <button onClick={() => { dropTransfer(persistentMedia.transferId); closeMedia(); }} className="text-zinc-500 hover:text-white text-[9px] font-black uppercase tracking-[0.4em] transition-all py-2 tap-scale">Initiate New Assembly</button>
            </div>
         </div>
       )}
@@ -1,29 +1,79 @@
 
-import React, { useState, useRef, useEffect } from 'react';
-import { Box, Mic, Trash2, Loader2, Zap, Share2, StopCircle, CheckCircle, Copy, Eye, AlertCircle, Play, Pause, Volume2, Activity, Keyboard } from 'lucide-react';
-import { processMedia, compressBytes } from '../services/mediaUtils';
-import { encodeBase32768 } from '../services/encoding';
-import { createVolumes } from '../services/chunker';
-import { MediaType, ProcessingState, MESSENGER_LIMITS } from '../types';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Box, Mic, Trash2, Loader2, Zap, Share2, StopCircle, CheckCircle, Copy, Eye, AlertCircle, Play, Pause, Volume2, Activity, Keyboard, Lock, FileText, X, RotateCcw, Plus, Film, Layers, PenLine, UserRound, Timer, EyeOff, QrCode } from 'lucide-react';
+import { processMedia, detectMediaType, probeAudioDuration, probeVideoDuration, estimateVoiceBytes, estimateVideoBytes, CANCELLED } from '../services/mediaUtils';
+import { describeOutput } from '../services/metadata';
+import { packBundle, bundleName, BundleEntry, BUNDLE_MIME, MAX_BUNDLE_ITEMS } from '../services/bundle';
+import { encodeInWorker, chunkInWorker } from '../services/pipeline';
+import { payloadBound, mediaCapacity } from '../services/protocol';
+import { createTransferId, estimateVolumeCount, shardCapacity, extractResendRequests } from '../services/chunker';
+import QrVolumes from './QrVolumes';
+import { Alphabet, Contact, Identity, MediaType, MediaOptions, FileMetadata, ProcessingState, EncodedPayload, ProcessedMedia, RecentResult, ALPHABET_OPTIONS, EXPIRY_OPTIONS, QR_VOLUME_CHARS, IMAGE_STRATEGIES, REDUNDANCY_LEVELS, VIDEO_PRESETS, VOICE_BITRATES } from '../types';
+
+const MAX_IMAGE_VOLUMES = 10;
+const MEDIA_SHARE = 0.8; // Progress bar share of transcoding; the worker's volume encoding gets the rest
+
+const formatSeconds = (s: number) => `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
 
 interface EncodingViewProps {
   persistentResult: string[] | null;
   setPersistentResult: (res: string[] | null) => void;
   persistentFile: File | null;
   setPersistentFile: (f: File | null) => void;
+  persistentBundle: File[];
+  setPersistentBundle: (files: File[]) => void;
+  persistentPayload: EncodedPayload | null;
+  setPersistentPayload: (p: EncodedPayload | null) => void;
+  maxChars: number;
+  limitName: string;
+  recentResults: RecentResult[];
+  onResult: (result: RecentResult) => void;
+  identity: Identity | null;
+  contacts: Contact[];
+  incomingFiles: File[]; // From the OS share sheet
+  onIncomingHandled: () => void;
 }
 
 const EncodingView: React.FC<EncodingViewProps> = ({ 
   persistentResult, setPersistentResult, 
-  persistentFile, setPersistentFile 
+  persistentFile, setPersistentFile,
+  persistentBundle, setPersistentBundle,
+  persistentPayload, setPersistentPayload,
+  maxChars, limitName,
+  recentResults, onResult,
+  identity, contacts,
+  incomingFiles, onIncomingHandled
 }) => {
   const [file, setFile] = useState<File | null>(persistentFile);
+  const [bundle, setBundle] = useState<File[]>(persistentBundle);
+  const [bundleDurations, setBundleDurations] = useState<number[]>([]);
   const [isRecording, setIsRecording] = useState(false);
   const [recordTime, setRecordTime] = useState(0);
   const [isCopied, setIsCopied] = useState(false);
   const [showRaw, setShowRaw] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const [micLevel, setMicLevel] = useState(0);
+  const [passphrase, setPassphrase] = useState("");
+  const [sign, setSign] = useState(true);
+  const [recipientKey, setRecipientKey] = useState(""); // Contact signing key, "" for nobody
+  const [expiry, setExpiry] = useState(EXPIRY_OPTIONS[0].id);
+  const [redundancy, setRedundancy] = useState(REDUNDANCY_LEVELS[0].id);
+  const [alphabet, setAlphabet] = useState<Alphabet>(Alphabet.BASE32768);
+  const [keepOriginal, setKeepOriginal] = useState(false);
+  const [imageStrategy, setImageStrategy] = useState(IMAGE_STRATEGIES[0].id);
+  const [imageVolumes, setImageVolumes] = useState(3);
+  const [mediaInfo, setMediaInfo] = useState<ProcessedMedia | null>(null);
+  const [voiceBitrate, setVoiceBitrate] = useState(VOICE_BITRATES[1].id);
+  const [videoPreset, setVideoPreset] = useState(VIDEO_PRESETS[1].id);
+  const [mediaDuration, setMediaDuration] = useState(0);
+  const [trimStart, setTrimStart] = useState(0);
+  const [trimEnd, setTrimEnd] = useState(0);
+  const [activeVolume, setActiveVolume] = useState(0);
+  const [resendInput, setResendInput] = useState("");
+  const [resend, setResend] = useState<{ transferId: string; name: string; volumes: { index: number; text: string }[] } | null>(null);
+  const [activeResend, setActiveResend] = useState(0);
+  const [showQr, setShowQr] = useState(false);
+  const [qrVolumes, setQrVolumes] = useState<string[] | null>(null);
   const [state, setState] = useState<ProcessingState>({
     isProcessing: false,
     progress: 0,
@@ -32,6 +82,7 @@ const EncodingView: React.FC<EncodingViewProps> = ({
   });
 
   const fileInputRef = useRef<HTMLInputElement>(null);
+  const abortRef = useRef<AbortController | null>(null);
   const mediaRecorderRef = useRef<MediaRecorder | null>(null);
   const audioPreviewRef = useRef<HTMLAudioElement | null>(null);
   const timerRef = useRef<number | null>(null);
@@ -41,8 +92,237 @@ const EncodingView: React.FC<EncodingViewProps> = ({
   const animationFrameRef = useRef<number | null>(null);
 
   useEffect(() => { setPersistentFile(file); }, [file]);
+  useEffect(() => { setPersistentBundle(bundle); }, [bundle]);
+
+  // Bundle items are probed one at a time; several videos loaded at once can exhaust a phone
+  useEffect(() => {
+    setBundleDurations([]);
+    if (bundle.length === 0) return;
+    let cancelled = false;
+    (async () => {
+      const durations: number[] = [];
+      for (const item of bundle) {
+        const type = detectMediaType(item);
+        const probe = type === MediaType.AUDIO ? probeAudioDuration(item) : type === MediaType.VIDEO ? probeVideoDuration(item) : Promise.resolve(0);
+        durations.push(await probe.catch(() => 0));
+        if (cancelled) return;
+      }
+      setBundleDurations(durations);
+    })();
+    return () => { cancelled = true; };
+  }, [bundle]);
+
+  const bundleUrls = useMemo(() => bundle.map(item => URL.createObjectURL(item)), [bundle]);
+  useEffect(() => () => bundleUrls.forEach(url => URL.revokeObjectURL(url)), [bundleUrls]);
+
+  // Trim range follows the selected recording or clip; undecodable media can still go out as a file
+  useEffect(() => {
+    setMediaDuration(0);
+    const type = file ? detectMediaType(file) : null;
+    if (!file || (type !== MediaType.AUDIO && type !== MediaType.VIDEO)) return;
+    let cancelled = false;
+    (type === MediaType.AUDIO ? probeAudioDuration(file) : probeVideoDuration(file)).then(duration => {
+      if (cancelled) return;
+      setMediaDuration(duration);
+      setTrimStart(0);
+      setTrimEnd(duration);
+    }).catch(() => { if (!cancelled) setKeepOriginal(true); });
+    return () => { cancelled = true; };
+  }, [file]);
   useEffect(() => { setPersistentResult(state.result); }, [state.result]);
 
+  // Profile changed since the volumes were cut: re-chunk the stored payload, no transcoding.
+  // A later change supersedes a re-chunk still in the worker, its volumes are dropped
+  useEffect(() => {
+    if (!persistentPayload || !state.result || persistentPayload.maxChars === maxChars) return;
+    let cancelled = false;
+    rechunk(persistentPayload, () => cancelled);
+    return () => { cancelled = true; };
+  }, [maxChars]);
+
+  const redundancyRatio = REDUNDANCY_LEVELS.find(l => l.id === redundancy)?.ratio ?? 0;
+  const signer = identity && sign ? { privateKey: identity.signing.privateKey, signingKey: identity.signingKey } : undefined;
+  const recipient = contacts.find(c => c.signingKey === recipientKey);
+
+  // Signed again under a new transfer ID, as long as the identity still exists
+  const resignerFor = (payload: EncodedPayload) =>
+    payload.signed && identity ? { privateKey: identity.signing.privateKey, signingKey: identity.signingKey } : undefined;
+
+  const rechunk = async (payload: EncodedPayload, isStale: () => boolean) => {
+    try {
+      const transferId = createTransferId();
+      const resigner = resignerFor(payload);
+      const volumes = await chunkInWorker(payload.type, payload.bytes, maxChars, { transferId, redundancy: payload.redundancy, alphabet: payload.alphabet, signer: resigner });
+      if (isStale()) return;
+      onResult({ transferId, name: selectionName(), volumes, createdAt: Date.now() });
+      setPersistentPayload({ ...payload, signed: !!resigner, maxChars });
+      setActiveVolume(0);
+      setState(s => ({ ...s, error: null, result: volumes }));
+    } catch (e: any) {
+      if (!isStale()) setState(s => ({ ...s, error: e.message }));
+    }
+  };
+
+  // QR volumes are a transfer of their own: Base91 for byte mode, short enough for a readable code
+  useEffect(() => {
+    setQrVolumes(null);
+    if (!showQr || !persistentPayload) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const transferId = createTransferId();
+        const volumes = await chunkInWorker(persistentPayload.type, persistentPayload.bytes, QR_VOLUME_CHARS, {
+          transferId, redundancy: persistentPayload.redundancy, alphabet: Alphabet.BASE91, signer: resignerFor(persistentPayload)
+        });
+        if (cancelled) return;
+        onResult({ transferId, name: selectionName(), volumes, createdAt: Date.now() });
+        setQrVolumes(volumes);
+      } catch (e: any) {
+        if (!cancelled) setState(s => ({ ...s, error: e.message }));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [showQr, persistentPayload]);
+
+  const clearResult = () => {
+    setState(s => ({ ...s, result: null }));
+    setPersistentPayload(null);
+    setMediaInfo(null);
+  };
+
+  // One file keeps the per-file controls (trim, preview); several become a bundle
+  const setSelection = (items: File[]) => {
+    const kept = items.slice(0, MAX_BUNDLE_ITEMS);
+    setFile(kept.length === 1 ? kept[0] : null);
+    setBundle(kept.length > 1 ? kept : []);
+    // A new pick starts transcoded again; the probe below turns this back on if it cannot decode
+    setKeepOriginal(false);
+    clearResult();
+  };
+
+  const addFiles = (selected: File[]) => {
+    if (selected.length > 0) setSelection([...(file ? [file] : []), ...bundle, ...selected]);
+  };
+
+  // Shared files replace the selection, like a fresh pick
+  useEffect(() => {
+    if (incomingFiles.length === 0) return;
+    setSelection(incomingFiles);
+    onIncomingHandled();
+  }, [incomingFiles]);
+
+  const selectionName = (): string => bundle.length > 0 ? bundleName(bundle.length) : file?.name || 'Payload';
+
+  const lifetime = EXPIRY_OPTIONS.find(o => o.id === expiry) || EXPIRY_OPTIONS[0];
+  const seals = { passphrase, recipientKey: recipient?.agreementKey };
+
+  // The envelope the payload will carry, for sizing before the media exists
+  const envelopeFor = (type: MediaType, size: number): FileMetadata => ({
+    ...(bundle.length > 0 ? { name: bundleName(bundle.length), mime: BUNDLE_MIME } : file ? describeOutput(file, type, new Uint8Array(0)) : { name: selectionName(), mime: '' }),
+    size,
+    ...(lifetime.seconds ? { expiresAt: Date.now() + lifetime.seconds * 1000 } : {}),
+    ...(lifetime.viewOnce ? { viewOnce: true } : {})
+  });
+
+  // "Fewest volumes" squeezes the image into one volume, "best quality" may spend several
+  const strategy = IMAGE_STRATEGIES.find(s => s.id === imageStrategy) || IMAGE_STRATEGIES[0];
+  const imageCapacity = shardCapacity(maxChars, alphabet) * (strategy.id === 'fewest' ? 1 : imageVolumes);
+  const imageBudget = Math.max(1024, mediaCapacity(imageCapacity, envelopeFor(MediaType.IMAGE, imageCapacity), seals));
+
+  const bitsPerSecond = VOICE_BITRATES.find(b => b.id === voiceBitrate)?.bitsPerSecond ?? VOICE_BITRATES[1].bitsPerSecond;
+  const isVoice = !!file && !keepOriginal && detectMediaType(file) === MediaType.AUDIO && mediaDuration > 0;
+  const isClip = !!file && !keepOriginal && detectMediaType(file) === MediaType.VIDEO && mediaDuration > 0;
+  const preset = VIDEO_PRESETS.find(p => p.id === videoPreset) || VIDEO_PRESETS[1];
+
+  // Bundle items get the same treatment they would get alone (each image its own budget);
+  // recordings and clips this browser cannot decode go out untouched
+  const bundleTypes = bundle.map((item, i) => {
+    const type = keepOriginal ? MediaType.FILE : detectMediaType(item);
+    return (type === MediaType.AUDIO || type === MediaType.VIDEO) && !bundleDurations[i] ? MediaType.FILE : type;
+  });
+  const isProbing = bundle.length > 0 && bundleDurations.length !== bundle.length;
+  const showImageTarget = (!!file && !keepOriginal && detectMediaType(file) === MediaType.IMAGE) || bundleTypes.includes(MediaType.IMAGE);
+  const showPresets = isClip || bundleTypes.includes(MediaType.VIDEO);
+  const showBitrates = isVoice || bundleTypes.includes(MediaType.AUDIO);
+  const canTranscode = [...(file ? [file] : []), ...bundle].some(item => detectMediaType(item) !== MediaType.FILE);
+
+  const expectedItemBytes = (item: File, type: MediaType, seconds: number): number => {
+    if (type === MediaType.AUDIO) return estimateVoiceBytes(bitsPerSecond, seconds);
+    if (type === MediaType.VIDEO) return estimateVideoBytes(preset, seconds);
+    if (type === MediaType.IMAGE) return Math.min(item.size, imageBudget);
+    return item.size;
+  };
+
+  // What will actually be sent, at most: the media as deflate leaves it, envelope and seals included
+  const expectedBytes = (): number => {
+    if (bundle.length > 0) {
+      const media = bundle.reduce((sum, item, i) => sum + expectedItemBytes(item, bundleTypes[i], bundleDurations[i] || 0), 0);
+      return payloadBound(media, envelopeFor(MediaType.BUNDLE, media), seals);
+    }
+    if (!file) return 0;
+    const type = isVoice ? MediaType.AUDIO : isClip ? MediaType.VIDEO : !keepOriginal && detectMediaType(file) === MediaType.IMAGE ? MediaType.IMAGE : MediaType.FILE;
+    const media = expectedItemBytes(file, type, trimEnd - trimStart);
+    return payloadBound(media, envelopeFor(type, media), seals);
+  };
+
+  const mediaOptions = (signal: AbortSignal, onProgress: (fraction: number) => void): MediaOptions => ({
+    imageTargetBytes: imageBudget,
+    imageMaxEdge: strategy.maxEdge,
+    audioBitrate: bitsPerSecond,
+    videoPreset: preset,
+    onProgress,
+    signal
+  });
+
+  const reportMedia = (fraction: number) => setState(s => ({ ...s, progress: Math.round(fraction * MEDIA_SHARE * 100) }));
+
+  const prepareFile = async (signal: AbortSignal): Promise<{ type: MediaType; bytes: Uint8Array; meta: FileMetadata; processed: ProcessedMedia | null }> => {
+    const type = keepOriginal ? MediaType.FILE : detectMediaType(file!);
+    const processed = await processMedia(file!, type, { ...mediaOptions(signal, reportMedia), trimStart, trimEnd: trimEnd || undefined });
+    return { type, bytes: processed.bytes, meta: describeOutput(file!, type, processed.bytes), processed };
+  };
+
+  // Every item runs its own pipeline, then they are packed into a single payload
+  const prepareBundle = async (signal: AbortSignal): Promise<{ type: MediaType; bytes: Uint8Array; meta: FileMetadata; processed: ProcessedMedia | null }> => {
+    const entries: BundleEntry[] = [];
+    for (let i = 0; i < bundle.length; i++) {
+      if (signal.aborted) throw new Error(CANCELLED);
+      const type = bundleTypes[i];
+      const processed = await processMedia(bundle[i], type, mediaOptions(signal, fraction => reportMedia((i + fraction) / bundle.length)));
+      entries.push({ type, meta: describeOutput(bundle[i], type, processed.bytes), bytes: processed.bytes });
+      reportMedia((i + 1) / bundle.length);
+    }
+    const bytes = packBundle(entries);
+    return { type: MediaType.BUNDLE, bytes, meta: { name: bundleName(entries.length), mime: BUNDLE_MIME, size: bytes.length }, processed: null };
+  };
+
+  const handleCompile = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setState(s => ({ ...s, isProcessing: true, progress: 0, error: null }));
+    try {
+      const { type, bytes, meta, processed } = bundle.length > 0 ? await prepareBundle(controller.signal) : await prepareFile(controller.signal);
+      // Limits go into the metadata envelope, inside the digest and the seal
+      const expiresAt = lifetime.seconds ? Date.now() + lifetime.seconds * 1000 : undefined;
+      const limited: FileMetadata = { ...meta, ...(expiresAt ? { expiresAt } : {}), ...(lifetime.viewOnce ? { viewOnce: true } : {}) };
+      const { transferId, payload, volumes } = await encodeInWorker(
+        type, bytes, limited, maxChars,
+        { passphrase, recipientKey: recipient?.agreementKey, signer, redundancy: redundancyRatio, alphabet },
+        (fraction) => setState(s => ({ ...s, progress: Math.round((MEDIA_SHARE + fraction * (1 - MEDIA_SHARE)) * 100) }))
+      );
+      onResult({ transferId, name: selectionName(), volumes, createdAt: Date.now() });
+      setPersistentPayload({ type, alphabet, bytes: payload, redundancy: redundancyRatio, sealed: !!passphrase, signed: !!signer, recipient: recipient?.name, expiresAt, viewOnce: lifetime.viewOnce, maxChars });
+      setActiveVolume(0);
+      setMediaInfo(processed);
+      setState({ isProcessing: false, progress: 100, error: null, result: volumes });
+    } catch (e) {
+      const cancelled = e instanceof Error && e.message === CANCELLED;
+      setState({ isProcessing: false, progress: 0, error: cancelled ? null : e instanceof Error ? e.message : "Encoding Failed", result: null });
+    } finally {
+      abortRef.current = null;
+    }
+  };
+
   const startRecording = async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ 
@@ -77,7 +357,7 @@ const EncodingView: React.FC<EncodingViewProps> = ({
       recorder.onstop = () => {
         const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
         const recordedFile = new File([audioBlob], `VOICE_${Date.now()}.webm`, { type: 'audio/webm' });
-        setFile(recordedFile);
+        setSelection([recordedFile]);
         stream.getTracks().forEach(track => track.stop());
         if (audioCtxRef.current) audioCtxRef.current.close();
         if (animationFrameRef.current) cancelAnimationFrame(animationFrameRef.current);
@@ -109,6 +389,30 @@ const EncodingView: React.FC<EncodingViewProps> = ({
     }
   };
 
+  // Resend requests name a transfer from the recent results and the volume indices it lacks
+  const processResendRequest = (text: string) => {
+    const requests = extractResendRequests(text);
+    if (requests.length === 0) {
+      if (text.includes("GC2:RQ")) setState(s => ({ ...s, error: "Resend request damaged in transit." }));
+      return;
+    }
+    const request = requests[0];
+    const recent = recentResults.find(r => r.transferId === request.transferId);
+    if (!recent) {
+      setState(s => ({ ...s, error: `Transfer ${request.transferId} is not among the recent results.` }));
+      return;
+    }
+    const volumes = request.indices.filter(i => i < recent.volumes.length).map(index => ({ index, text: recent.volumes[index] }));
+    setResend({ transferId: recent.transferId, name: recent.name, volumes });
+    setActiveResend(0);
+    setResendInput("");
+    setState(s => ({ ...s, error: null }));
+  };
+
+  // The signature travels as one more message after the last volume
+  const isSignature = (i: number): boolean => !!persistentPayload?.signed && !!state.result && i === state.result.length - 1;
+  const volumeCount = (state.result?.length ?? 0) - (persistentPayload?.signed ? 1 : 0);
+
   const handleCopy = async (text: string) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -120,8 +424,12 @@ const EncodingView: React.FC<EncodingViewProps> = ({
   return (
     <div className="space-y-6 pb-20">
       {/* Container with smooth entrance */}
-      <div className="bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl overflow-hidden animate-slide-up">
-        {!isRecording && !file ? (
+      <div
+        onDragOver={(e) => { if (!isRecording) e.preventDefault(); }}
+        onDrop={(e) => { e.preventDefault(); if (!isRecording) addFiles(Array.from(e.dataTransfer.files)); }}
+        className="bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl overflow-hidden animate-slide-up"
+      >
+        {!isRecording && !file && bundle.length === 0 ? (
           <div className="py-12 flex flex-col items-center gap-8">
             <div className="relative">
               <div className="absolute inset-0 bg-blue-500 blur-[80px] opacity-20 animate-pulse" />
@@ -131,7 +439,7 @@ const EncodingView: React.FC<EncodingViewProps> = ({
             </div>
             <div className="text-center space-y-2">
               <h2 className="text-lg font-bold text-white tracking-tight uppercase">Ready for Input</h2>
-              <p className="text-[9px] text-zinc-500 font-black uppercase tracking-[0.3em]">Select source to begin</p>
+              <p className="text-[9px] text-zinc-500 font-black uppercase tracking-[0.3em]">Select or drop files to begin</p>
             </div>
             <div className="flex gap-4 w-full px-2">
               <button onClick={() => fileInputRef.current?.click()} className="flex-1 py-5 bg-zinc-900 hover:bg-zinc-800 text-white rounded-2xl font-bold flex flex-col items-center gap-3 transition-all tap-scale border border-white/5 shadow-lg">
@@ -176,7 +484,31 @@ const EncodingView: React.FC<EncodingViewProps> = ({
         ) : (
           <div className="space-y-8 animate-fade-in">
             <div className="bg-black border border-white/5 rounded-[2rem] p-6 relative group overflow-hidden shadow-inner">
-               {file?.type.startsWith('audio/') ? (
+               {bundle.length > 0 ? (
+                 <div className="space-y-4">
+                    <div className="px-1 pr-24">
+                      <p className="text-white font-bold text-sm flex items-center gap-2"><Layers size={14} className="text-blue-500" /> {bundle.length} Items</p>
+                      <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-1">One Transfer · {(bundle.reduce((a, f) => a + f.size, 0) / 1024).toFixed(1)} KB Original</p>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {bundle.map((item, i) => (
+                        <div key={`${item.name}-${i}`} className="aspect-square bg-zinc-950 rounded-xl border border-white/5 overflow-hidden relative flex items-center justify-center">
+                          {item.type.startsWith('image/') ? (
+                            <img src={bundleUrls[i]} className="w-full h-full object-cover" />
+                          ) : (
+                            <div className="flex flex-col items-center gap-2 px-2 w-full">
+                              {item.type.startsWith('video/') ? <Film size={20} className="text-zinc-600" /> : item.type.startsWith('audio/') ? <Volume2 size={20} className="text-zinc-600" /> : <FileText size={20} className="text-zinc-600" />}
+                              <p className="text-[8px] text-zinc-500 font-black truncate w-full text-center">{item.name}</p>
+                            </div>
+                          )}
+                          {!state.result && (
+                            <button onClick={() => setSelection(bundle.filter((_, j) => j !== i))} className="absolute top-1 right-1 w-6 h-6 bg-black/70 text-zinc-300 rounded-lg flex items-center justify-center tap-scale"><X size={12} /></button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                 </div>
+               ) : file?.type.startsWith('audio/') ? (
                  <div className="py-8 flex flex-col items-center gap-6">
                     <div className="w-24 h-24 bg-blue-600/5 border border-blue-500/10 rounded-full flex items-center justify-center relative shadow-2xl">
                       {isPlaying ? <Activity className="text-blue-500 animate-pulse" size={32} /> : <Volume2 className="text-blue-500" size={32} />}
@@ -207,36 +539,257 @@ const EncodingView: React.FC<EncodingViewProps> = ({
                  <div className="aspect-square w-full bg-zinc-950 rounded-2xl flex items-center justify-center overflow-hidden border border-white/5 shadow-inner p-2">
                     {file?.type.startsWith('image/') ? (
                       <img src={URL.createObjectURL(file)} className="w-full h-full object-contain rounded-xl" />
-                    ) : <Box size={48} className="text-zinc-800" />}
+                    ) : file?.type.startsWith('video/') ? (
+                      <video src={URL.createObjectURL(file)} className="w-full h-full object-contain rounded-xl" muted controls playsInline />
+                    ) : (
+                      <div className="flex flex-col items-center gap-4 px-6">
+                        <FileText size={48} className="text-zinc-700" />
+                        <div className="text-center">
+                          <p className="text-white font-bold text-sm truncate max-w-xs mx-auto mb-1">{file?.name}</p>
+                          <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest">{file?.type || 'Binary'} · {((file?.size || 0) / 1024).toFixed(1)} KB</p>
+                        </div>
+                      </div>
+                    )}
                  </div>
                )}
-               <button onClick={() => { setFile(null); setState(s => ({...s, result: null})); }} className="absolute top-4 right-4 w-10 h-10 bg-red-600/10 text-red-500 hover:bg-red-600 hover:text-white rounded-xl flex items-center justify-center transition-all tap-scale border border-red-500/20"><Trash2 size={16} /></button>
+               {!state.result && bundle.length + (file ? 1 : 0) < MAX_BUNDLE_ITEMS && (
+                 <button onClick={() => fileInputRef.current?.click()} className="absolute top-4 right-16 w-10 h-10 bg-zinc-900/80 text-zinc-300 hover:bg-zinc-800 rounded-xl flex items-center justify-center transition-all tap-scale border border-white/5"><Plus size={16} /></button>
+               )}
+               <button onClick={() => setSelection([])} className="absolute top-4 right-4 w-10 h-10 bg-red-600/10 text-red-500 hover:bg-red-600 hover:text-white rounded-xl flex items-center justify-center transition-all tap-scale border border-red-500/20"><Trash2 size={16} /></button>
             </div>
 
+            {!state.result && (
+              <div className="space-y-3">
+                <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Alphabet</p>
+                <div className="flex gap-2">
+                  {ALPHABET_OPTIONS.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setAlphabet(option.id)}
+                      className={`flex-1 py-3 rounded-2xl transition-all tap-scale border flex flex-col items-center gap-1 ${alphabet === option.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+                    >
+                      <span className="text-[9px] font-black uppercase tracking-widest">{option.name}</span>
+                      <span className="text-[7px] font-black uppercase tracking-widest opacity-60">{option.hint}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!state.result && (
+              <div className="space-y-3">
+                <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Parity Volumes</p>
+                <div className="flex gap-2">
+                  {REDUNDANCY_LEVELS.map(level => (
+                    <button
+                      key={level.id}
+                      onClick={() => setRedundancy(level.id)}
+                      className={`flex-1 py-3 rounded-2xl text-[9px] font-black uppercase tracking-widest transition-all tap-scale border ${redundancy === level.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+                    >
+                      {level.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!state.result && showImageTarget && (
+              <div className="space-y-3">
+                <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Image Target</p>
+                <div className="flex gap-2">
+                  {IMAGE_STRATEGIES.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setImageStrategy(option.id)}
+                      className={`flex-1 py-3 rounded-2xl text-[9px] font-black uppercase tracking-widest transition-all tap-scale border ${imageStrategy === option.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+                    >
+                      {option.name}
+                    </button>
+                  ))}
+                </div>
+                {imageStrategy === 'quality' && (
+                  <div className="flex items-center gap-4 px-2">
+                    <span className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em]">Max Volumes</span>
+                    <input
+                      type="range"
+                      min={1}
+                      max={MAX_IMAGE_VOLUMES}
+                      value={imageVolumes}
+                      onChange={(e) => setImageVolumes(parseInt(e.target.value))}
+                      className="flex-1 accent-blue-500"
+                    />
+                    <span className="text-[10px] font-mono text-blue-400 tabular-nums w-5 text-right">{imageVolumes}</span>
+                  </div>
+                )}
+                <p className="text-[8px] text-zinc-600 font-black uppercase tracking-[0.3em] px-2">Budget {(imageBudget / 1024).toFixed(1)} KB</p>
+              </div>
+            )}
+
+            {!state.result && showPresets && (
+              <div className="space-y-3">
+                <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Resolution</p>
+                <div className="flex gap-2">
+                  {VIDEO_PRESETS.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setVideoPreset(option.id)}
+                      className={`flex-1 py-3 rounded-2xl text-[9px] font-black uppercase tracking-widest transition-all tap-scale border ${videoPreset === option.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+                    >
+                      {option.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!state.result && showBitrates && (
+              <div className="space-y-3">
+                <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Voice Bitrate</p>
+                <div className="flex gap-2">
+                  {VOICE_BITRATES.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setVoiceBitrate(option.id)}
+                      className={`flex-1 py-3 rounded-2xl text-[9px] font-black uppercase tracking-widest transition-all tap-scale border ${voiceBitrate === option.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+                    >
+                      {option.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!state.result && (isVoice || isClip) && (
+              <div className="space-y-3">
+                <div className="flex items-center gap-4 px-2">
+                  <span className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] w-10">Start</span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={mediaDuration}
+                    step={0.1}
+                    value={trimStart}
+                    onChange={(e) => setTrimStart(Math.min(parseFloat(e.target.value), trimEnd - 0.1))}
+                    className="flex-1 accent-blue-500"
+                  />
+                  <span className="text-[10px] font-mono text-blue-400 tabular-nums w-12 text-right">{formatSeconds(trimStart)}</span>
+                </div>
+                <div className="flex items-center gap-4 px-2">
+                  <span className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] w-10">End</span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={mediaDuration}
+                    step={0.1}
+                    value={trimEnd}
+                    onChange={(e) => setTrimEnd(Math.max(parseFloat(e.target.value), trimStart + 0.1))}
+                    className="flex-1 accent-blue-500"
+                  />
+                  <span className="text-[10px] font-mono text-blue-400 tabular-nums w-12 text-right">{formatSeconds(trimEnd)}</span>
+                </div>
+                <p className="text-[8px] text-zinc-600 font-black uppercase tracking-[0.3em] px-2">Clip {formatSeconds(trimEnd - trimStart)} · {isClip ? `${preset.fps} FPS · Mono Soundtrack` : 'Opus Mono'}</p>
+              </div>
+            )}
+
+            {!state.result && canTranscode && (
+              <div
+                onClick={() => setKeepOriginal(!keepOriginal)}
+                className={`p-5 rounded-3xl border transition-all cursor-pointer flex items-center justify-between tap-scale ${keepOriginal ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+              >
+                <span className="text-[9px] font-black uppercase tracking-[0.2em]">Send Original File (No Transcode)</span>
+                <div className={`w-11 h-6 rounded-full relative transition-all ${keepOriginal ? 'bg-blue-600' : 'bg-zinc-800'}`}>
+                  <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-all shadow-md ${keepOriginal ? 'right-1' : 'left-1'}`} />
+                </div>
+              </div>
+            )}
+
+            {!state.result && (
+              <div className="space-y-3">
+                <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Lifetime</p>
+                <div className="flex gap-2">
+                  {EXPIRY_OPTIONS.map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setExpiry(option.id)}
+                      className={`flex-1 py-3 rounded-2xl text-[9px] font-black uppercase tracking-widest transition-all tap-scale border ${expiry === option.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+                    >
+                      {option.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!state.result && (
+              <div className="relative">
+                <Lock size={14} className={`absolute left-6 top-1/2 -translate-y-1/2 ${passphrase ? 'text-blue-500' : 'text-zinc-600'}`} />
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder="OPTIONAL PASSPHRASE"
+                  autoComplete="new-password"
+                  className="w-full py-5 pl-14 pr-6 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-3xl text-[11px] font-mono text-blue-400 outline-none transition-all shadow-inner tracking-widest"
+                />
+              </div>
+            )}
+
+            {!state.result && identity && (
+              <div
+                onClick={() => setSign(!sign)}
+                className={`p-5 rounded-3xl border transition-all cursor-pointer flex items-center justify-between tap-scale ${sign ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+              >
+                <span className="text-[9px] font-black uppercase tracking-[0.2em] flex items-center gap-2"><PenLine size={14} /> Sign as {identity.name}</span>
+                <div className={`w-11 h-6 rounded-full relative transition-all ${sign ? 'bg-blue-600' : 'bg-zinc-800'}`}>
+                  <div className={`absolute top-1 w-4 h-4 bg-white rounded-full transition-all shadow-md ${sign ? 'right-1' : 'left-1'}`} />
+                </div>
+              </div>
+            )}
+
+            {!state.result && contacts.length > 0 && (
+              <div className="relative">
+                <UserRound size={14} className={`absolute left-6 top-1/2 -translate-y-1/2 ${recipient ? 'text-blue-500' : 'text-zinc-600'}`} />
+                <select
+                  value={recipient ? recipientKey : ""}
+                  onChange={(e) => setRecipientKey(e.target.value)}
+                  className="w-full py-5 pl-14 pr-6 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-3xl text-[11px] font-mono text-blue-400 outline-none transition-all shadow-inner tracking-widest uppercase appearance-none"
+                >
+                  <option value="">Readable by anyone with the volumes</option>
+                  {contacts.map(c => <option key={c.signingKey} value={c.signingKey}>Encrypt to {c.name}</option>)}
+                </select>
+              </div>
+            )}
+
+            {!state.result && (file || bundle.length > 0) && (
+              <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] text-center">
+                ~{estimateVolumeCount(expectedBytes(), maxChars, redundancyRatio, alphabet)} Volumes @ {limitName}
+              </p>
+            )}
+
             {!state.result && (
               <button 
-                onClick={async () => {
-                  setState(s => ({...s, isProcessing: true}));
-                  try {
-                    let type = MediaType.IMAGE;
-                    if (file?.type.startsWith('audio/')) type = MediaType.AUDIO;
-                    else if (file?.type.startsWith('video/')) type = MediaType.VIDEO;
-                    const raw = await processMedia(file!, type);
-                    const compressed = await compressBytes(raw);
-                    const encoded = encodeBase32768(compressed);
-                    const volumes = createVolumes(type, encoded, MESSENGER_LIMITS[2].maxChars);
-                    setState({ isProcessing: false, progress: 100, error: null, result: volumes });
-                  } catch (e) {
-                    setState({ isProcessing: false, progress: 0, error: "Encoding Failed", result: null });
-                  }
-                }} 
-                disabled={state.isProcessing}
+                onClick={handleCompile}
+                disabled={state.isProcessing || isProbing}
                 className="w-full py-6 bg-blue-600 text-white rounded-3xl font-black text-xs uppercase tracking-[0.2em] flex items-center justify-center gap-3 transition-all tap-scale border-b-4 border-blue-900 disabled:opacity-50 shadow-2xl"
               >
                 {state.isProcessing ? <Loader2 className="animate-spin" size={20} /> : <Zap size={20} fill="currentColor" />}
-                {state.isProcessing ? "Processing Stream..." : "Compile Packets"}
+                {state.isProcessing ? `Processing Stream... ${state.progress}%` : isProbing ? "Reading Media..." : "Compile Packets"}
               </button>
             )}
+
+            {!state.result && state.isProcessing && (
+              <div className="space-y-3">
+                <div className="h-1 bg-zinc-800 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-500 transition-all" style={{ width: `${state.progress}%` }} />
+                </div>
+                <button
+                  onClick={() => abortRef.current?.abort()}
+                  className="w-full py-4 bg-zinc-900 text-zinc-400 rounded-3xl font-black text-[9px] uppercase tracking-[0.2em] flex items-center justify-center gap-2 transition-all tap-scale border border-white/5"
+                >
+                  <X size={14} /> Cancel
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -246,32 +799,129 @@ const EncodingView: React.FC<EncodingViewProps> = ({
            <div className="flex items-center justify-between px-2">
               <div>
                 <h3 className="text-white font-bold text-sm tracking-tight">Coded Transmission</h3>
-                <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">Packet Size: {state.result[0].length} Chars</p>
+                <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">Packet Size: {state.result[activeVolume].length} Chars</p>
+                <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{volumeCount} Volumes @ {limitName}{persistentPayload?.signed ? ' + Signature' : ''}</p>
+                {showQr && qrVolumes && (
+                  <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{qrVolumes.length} QR Codes · Separate Transfer</p>
+                )}
+                {mediaInfo?.quality !== undefined && (
+                  <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{mediaInfo.width}×{mediaInfo.height} · WebP Q{Math.round((mediaInfo.quality || 0) * 100)}</p>
+                )}
+                {mediaInfo?.duration !== undefined && (
+                  <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{mediaInfo.width ? `${mediaInfo.width}×${mediaInfo.height} · ` : ''}{formatSeconds(mediaInfo.duration)} · {mediaInfo.width ? 'WebM' : 'Opus'} {Math.round((mediaInfo.bitrate || 0) / 1000)} kbps</p>
+                )}
+                {persistentPayload?.type === MediaType.BUNDLE && (
+                  <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{bundle.length} Items Bundled</p>
+                )}
+                {persistentPayload?.sealed && (
+                  <p className="text-[8px] text-blue-500 font-black uppercase tracking-widest mt-1 flex items-center gap-1.5"><Lock size={10} /> AES-256 Sealed</p>
+                )}
+                {persistentPayload?.recipient && (
+                  <p className="text-[8px] text-blue-500 font-black uppercase tracking-widest mt-1 flex items-center gap-1.5"><UserRound size={10} /> Only {persistentPayload.recipient} Can Open</p>
+                )}
+                {persistentPayload?.viewOnce && (
+                  <p className="text-[8px] text-amber-400 font-black uppercase tracking-widest mt-1 flex items-center gap-1.5"><EyeOff size={10} /> View Once</p>
+                )}
+                {persistentPayload?.expiresAt !== undefined && (
+                  <p className="text-[8px] text-amber-400 font-black uppercase tracking-widest mt-1 flex items-center gap-1.5"><Timer size={10} /> Expires {new Date(persistentPayload.expiresAt).toLocaleString()}</p>
+                )}
+                {persistentPayload?.signed && identity && (
+                  <p className="text-[8px] text-blue-500 font-black uppercase tracking-widest mt-1 flex items-center gap-1.5"><PenLine size={10} /> Signed as {identity.name}</p>
+                )}
               </div>
               <div className="flex gap-2">
+                 <button onClick={() => setShowQr(!showQr)} className={`p-2 rounded-xl transition-all ${showQr ? 'bg-blue-600 text-white' : 'bg-zinc-900 text-zinc-500 border border-white/5'}`}><QrCode size={18}/></button>
                  <button onClick={() => setShowRaw(!showRaw)} className={`p-2 rounded-xl transition-all ${showRaw ? 'bg-blue-600 text-white' : 'bg-zinc-900 text-zinc-500 border border-white/5'}`}><Eye size={18}/></button>
-                 <button onClick={() => { if(navigator.share) navigator.share({text: state.result![0]}) }} className="p-2 bg-zinc-900 text-white rounded-xl border border-white/5 tap-scale"><Share2 size={18}/></button>
+                 <button onClick={() => { if(navigator.share) navigator.share({text: state.result![activeVolume]}) }} className="p-2 bg-zinc-900 text-white rounded-xl border border-white/5 tap-scale"><Share2 size={18}/></button>
               </div>
            </div>
 
-           <div className="relative group overflow-hidden">
-              <div className={`bg-black rounded-[1.5rem] p-6 font-mono text-[10px] text-blue-400 break-all border border-white/5 h-40 overflow-y-auto leading-relaxed transition-all duration-700 ${showRaw ? 'blur-0' : 'blur-xl opacity-20'}`}>
-                {state.result[0]}
+           {showQr ? (
+             qrVolumes ? <QrVolumes volumes={qrVolumes} /> : (
+               <div className="h-40 flex items-center justify-center text-zinc-500"><Loader2 size={24} className="animate-spin" /></div>
+             )
+           ) : (
+             <>
+               {state.result.length > 1 && (
+                 <div className="flex gap-2 overflow-x-auto custom-scrollbar px-2">
+                   {state.result.map((_, i) => (
+                     <button
+                       key={i}
+                       onClick={() => setActiveVolume(i)}
+                       className={`shrink-0 w-10 h-10 rounded-xl text-[10px] font-black tabular-nums transition-all tap-scale border ${activeVolume === i ? 'bg-blue-600 text-white border-blue-500' : 'bg-zinc-900 text-zinc-500 border-white/5'}`}
+                     >
+                       {isSignature(i) ? <PenLine size={14} className="mx-auto" /> : i + 1}
+                     </button>
+                   ))}
+                 </div>
+               )}
+
+               <div className="relative group overflow-hidden">
+                  <div className={`bg-black rounded-[1.5rem] p-6 font-mono text-[10px] text-blue-400 break-all border border-white/5 h-40 overflow-y-auto leading-relaxed transition-all duration-700 ${showRaw ? 'blur-0' : 'blur-xl opacity-20'}`}>
+                    {state.result[activeVolume]}
+                  </div>
+                  {!showRaw && (
+                    <div className="absolute inset-0 flex items-center justify-center">
+                       <button onClick={() => setShowRaw(true)} className="px-8 py-3 bg-zinc-800/80 backdrop-blur-md text-white text-[9px] font-black uppercase tracking-[0.2em] rounded-full border border-white/10 shadow-2xl tap-scale">Unlock Visualizer</button>
+                    </div>
+                  )}
+               </div>
+
+               <button 
+                 onClick={() => handleCopy(state.result![activeVolume])} 
+                 className={`w-full py-6 rounded-3xl font-black text-xs uppercase tracking-[0.2em] flex items-center justify-center gap-3 transition-all tap-scale shadow-2xl ${isCopied ? 'bg-green-600 text-white' : 'bg-white text-black'}`}
+               >
+                 {isCopied ? <CheckCircle size={20} /> : <Copy size={20} />}
+                 {isCopied ? "Packet Copied" : "Copy Buffer"}
+               </button>
+             </>
+           )}
+        </div>
+      )}
+
+      {recentResults.length > 0 && (
+        <div className="bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl space-y-4 animate-slide-up">
+          <div className="flex items-center justify-between px-2">
+            <div>
+              <h3 className="text-white font-bold text-sm tracking-tight">Resend Volumes</h3>
+              <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{recentResults.length} Recent Transfers Kept</p>
+            </div>
+            <RotateCcw size={16} className="text-zinc-600" />
+          </div>
+          <textarea
+            value={resendInput}
+            onChange={(e) => { setResendInput(e.target.value); processResendRequest(e.target.value); }}
+            placeholder="PASTE RESEND REQUEST..."
+            className="w-full h-20 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-[1.5rem] p-4 text-[11px] font-mono text-blue-400 outline-none transition-all resize-none shadow-inner"
+          />
+          {resend && (
+            <div className="space-y-4 animate-fade-in">
+              <div className="flex justify-between items-center px-2 text-[8px] font-black uppercase tracking-widest">
+                <span className="font-mono text-zinc-400 truncate">{resend.transferId} · {resend.name}</span>
+                <button onClick={() => setResend(null)} className="text-zinc-500 hover:text-white tap-scale"><X size={12} /></button>
               </div>
-              {!showRaw && (
-                <div className="absolute inset-0 flex items-center justify-center">
-                   <button onClick={() => setShowRaw(true)} className="px-8 py-3 bg-zinc-800/80 backdrop-blur-md text-white text-[9px] font-black uppercase tracking-[0.2em] rounded-full border border-white/10 shadow-2xl tap-scale">Unlock Visualizer</button>
-                </div>
+              <div className="flex gap-2 overflow-x-auto custom-scrollbar px-2">
+                {resend.volumes.map((v, i) => (
+                  <button
+                    key={v.index}
+                    onClick={() => setActiveResend(i)}
+                    className={`shrink-0 w-10 h-10 rounded-xl text-[10px] font-black tabular-nums transition-all tap-scale border ${activeResend === i ? 'bg-blue-600 text-white border-blue-500' : 'bg-zinc-900 text-zinc-500 border-white/5'}`}
+                  >
+                    {v.index + 1}
+                  </button>
+                ))}
+              </div>
+              {resend.volumes.length > 0 && (
+                <button
+                  onClick={() => handleCopy(resend.volumes[activeResend].text)}
+                  className={`w-full py-5 rounded-3xl font-black text-xs uppercase tracking-[0.2em] flex items-center justify-center gap-3 transition-all tap-scale shadow-2xl ${isCopied ? 'bg-green-600 text-white' : 'bg-white text-black'}`}
+                >
+                  {isCopied ? <CheckCircle size={20} /> : <Copy size={20} />}
+                  {isCopied ? "Packet Copied" : `Copy Volume ${resend.volumes[activeResend].index + 1}`}
+                </button>
               )}
-           </div>
-
-           <button 
-             onClick={() => handleCopy(state.result![0])} 
-             className={`w-full py-6 rounded-3xl font-black text-xs uppercase tracking-[0.2em] flex items-center justify-center gap-3 transition-all tap-scale shadow-2xl ${isCopied ? 'bg-green-600 text-white' : 'bg-white text-black'}`}
-           >
-             {isCopied ? <CheckCircle size={20} /> : <Copy size={20} />}
-             {isCopied ? "Packet Copied" : "Copy Buffer"}
-           </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -281,7 +931,7 @@ const EncodingView: React.FC<EncodingViewProps> = ({
         </div>
       )}
 
-      <input type="file" ref={fileInputRef} onChange={(e) => { setFile(e.target.files?.[0] || null); setState(s => ({...s, result: null})); }} className="hidden" />
+      <input type="file" ref={fileInputRef} multiple onChange={(e) => { addFiles(Array.from(e.target.files || [])); e.target.value = ""; }} className="hidden" />
     </div>
   );
 };
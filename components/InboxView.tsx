@@ -0,0 +1,151 @@
+
+import React, { useState, useEffect } from 'react';
+import { Inbox, Download, Trash2, Eye, Play, ShieldCheck, Loader2, AlertCircle } from 'lucide-react';
+import { loadItems, deleteItem, wipeAll } from '../services/storage';
+import { isExpired, mediaFromItem } from '../services/metadata';
+import { BUNDLE_MIME, unpackBundle } from '../services/bundle';
+import { Chunk, DecodedMedia, InboxItem, TransferMap } from '../types';
+
+interface InboxViewProps {
+  transfers: TransferMap;
+  onResume: () => void;
+  onOpen: (media: DecodedMedia) => void;
+  onDeleteTransfer: (transferId: string) => void;
+  onWipe: () => void;
+}
+
+const transferTotal = (volumes: Map<number, Chunk>): number => volumes.values().next().value?.total ?? 0;
+
+const DOWNLOAD_STAGGER = 300; // ms; browsers drop downloads clicked in the same tick
+
+const downloadFile = (name: string, mime: string, bytes: Uint8Array) => {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Bundles come out as their separate items
+const downloadItem = (item: InboxItem) => {
+  if (item.mime !== BUNDLE_MIME) {
+    downloadFile(item.name, item.mime, item.bytes);
+    return;
+  }
+  unpackBundle(item.bytes).forEach((entry, i) => setTimeout(() => downloadFile(entry.meta.name, entry.meta.mime, entry.bytes), i * DOWNLOAD_STAGGER));
+};
+
+const InboxView: React.FC<InboxViewProps> = ({ transfers, onResume, onOpen, onDeleteTransfer, onWipe }) => {
+  const [items, setItems] = useState<InboxItem[] | null>(null);
+  const [confirmWipe, setConfirmWipe] = useState(false);
+
+  // Expired items are deleted on sight; the sender only allowed them until then
+  useEffect(() => {
+    loadItems().then(loaded => {
+      loaded.filter(i => isExpired(i.expiresAt)).forEach(i => deleteItem(i.transferId));
+      setItems(loaded.filter(i => !isExpired(i.expiresAt)));
+    });
+  }, []);
+
+  const removeItem = async (transferId: string) => {
+    await deleteItem(transferId);
+    setItems(current => (current || []).filter(i => i.transferId !== transferId));
+  };
+
+  const handleWipe = async () => {
+    await wipeAll();
+    setItems([]);
+    setConfirmWipe(false);
+    onWipe();
+  };
+
+  const isEmpty = transfers.size === 0 && items !== null && items.length === 0;
+
+  return (
+    <div className="space-y-6 pb-20">
+      <div className="bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl space-y-6 overflow-hidden animate-slide-up">
+        <div className="flex items-center justify-between px-2">
+          <div>
+            <h3 className="text-white font-bold text-sm tracking-tight">Inbox</h3>
+            <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">Stored On This Device</p>
+          </div>
+          <Inbox size={18} className="text-zinc-600" />
+        </div>
+
+        {items === null && (
+          <div className="py-10 flex justify-center"><Loader2 size={20} className="animate-spin text-blue-500" /></div>
+        )}
+
+        {isEmpty && (
+          <p className="py-10 text-center text-[9px] text-zinc-600 font-black uppercase tracking-[0.3em]">No Transfers Stored</p>
+        )}
+
+        {transfers.size > 0 && (
+          <div className="space-y-3">
+            <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">In Progress</p>
+            {Array.from(transfers.entries()).map(([transferId, volumes]) => {
+              const total = transferTotal(volumes);
+              return (
+                <div key={transferId} className="bg-black/40 border border-white/5 p-4 rounded-3xl space-y-3">
+                  <div className="flex justify-between items-center text-[8px] font-black uppercase tracking-widest">
+                    <span className="font-mono text-zinc-400">{transferId}</span>
+                    <span className="flex items-center gap-3">
+                      <span className="text-zinc-500">{volumes.size} of {total}</span>
+                      <button onClick={onResume} className="text-blue-400 hover:text-white transition-all tap-scale flex items-center gap-1"><Play size={10} /> Resume</button>
+                      <button onClick={() => onDeleteTransfer(transferId)} className="text-red-500/40 hover:text-red-500 transition-all tap-scale"><Trash2 size={10} /></button>
+                    </span>
+                  </div>
+                  <div className="h-1 bg-zinc-900 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-500 transition-all duration-300" style={{ width: `${total ? Math.min(1, volumes.size / total) * 100 : 0}%` }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {items && items.length > 0 && (
+          <div className="space-y-3">
+            <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Received</p>
+            {items.map(item => (
+              <div key={item.transferId} className="bg-black/40 border border-white/5 p-4 rounded-3xl flex items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-bold text-xs truncate flex items-center gap-1.5">
+                    {item.verified && <ShieldCheck size={12} className="text-green-500 shrink-0" />}
+                    {item.name}
+                  </p>
+                  <p className="text-[8px] text-zinc-500 font-black uppercase tracking-widest mt-1 truncate">
+                    {(item.size / 1024).toFixed(1)} KB · {new Date(item.receivedAt).toLocaleString()}
+                    {item.expiresAt !== undefined && ` · Expires ${new Date(item.expiresAt).toLocaleString()}`}
+                  </p>
+                </div>
+                <button onClick={() => onOpen(mediaFromItem(item))} className="w-9 h-9 bg-zinc-900 text-zinc-400 rounded-xl flex items-center justify-center border border-white/5 tap-scale"><Eye size={14} /></button>
+                <button onClick={() => downloadItem(item)} className="w-9 h-9 bg-zinc-900 text-blue-400 rounded-xl flex items-center justify-center border border-white/5 tap-scale"><Download size={14} /></button>
+                <button onClick={() => removeItem(item.transferId)} className="w-9 h-9 bg-red-600/10 text-red-500 rounded-xl flex items-center justify-center border border-red-500/20 tap-scale"><Trash2 size={14} /></button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!isEmpty && items !== null && (
+          confirmWipe ? (
+            <div className="p-5 bg-red-950/20 border border-red-500/30 rounded-3xl space-y-4 animate-fade-in">
+              <p className="flex items-center gap-3 text-red-400 text-[9px] font-black uppercase tracking-widest"><AlertCircle size={16} /> Delete every stored transfer and item?</p>
+              <div className="flex gap-2">
+                <button onClick={() => setConfirmWipe(false)} className="flex-1 py-3 bg-zinc-900 text-zinc-400 rounded-2xl text-[9px] font-black uppercase tracking-widest border border-white/5 tap-scale">Keep</button>
+                <button onClick={handleWipe} className="flex-1 py-3 bg-red-600 text-white rounded-2xl text-[9px] font-black uppercase tracking-widest tap-scale">Wipe All</button>
+              </div>
+            </div>
+          ) : (
+            <button onClick={() => setConfirmWipe(true)} className="text-red-500/40 hover:text-red-500 text-[8px] font-black uppercase tracking-[0.2em] flex items-center gap-1.5 mx-auto transition-all py-1">
+              <Trash2 size={10} /> Wipe All
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InboxView;
@@ -0,0 +1,151 @@
+
+import React, { useState, useEffect } from 'react';
+import { X, KeyRound, Copy, CheckCircle, UserPlus, Trash2, Loader2, AlertCircle } from 'lucide-react';
+import { Contact, Identity } from '../types';
+import { createIdentity, createContactCard, keyFingerprint, readContactCards } from '../services/identity';
+
+interface KeyringPanelProps {
+  identity: Identity | null;
+  setIdentity: (identity: Identity | null) => void;
+  contacts: Contact[];
+  setContacts: (contacts: Contact[]) => void;
+  onClose: () => void;
+}
+
+/**
+ * Own identity and the contacts whose signatures are recognised. Cards are exchanged
+ * through the messenger like volumes; fingerprints are for checking them out of band.
+ */
+const KeyringPanel: React.FC<KeyringPanelProps> = ({ identity, setIdentity, contacts, setContacts, onClose }) => {
+  const [name, setName] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+  const [fingerprint, setFingerprint] = useState("");
+  const [cardInput, setCardInput] = useState("");
+  const [isCopied, setIsCopied] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setFingerprint("");
+    if (identity) keyFingerprint(identity.signingKey).then(setFingerprint);
+  }, [identity]);
+
+  const handleCreate = async () => {
+    if (!name.trim()) return;
+    setIsCreating(true);
+    try {
+      setIdentity(await createIdentity(name));
+      setName("");
+      setError(null);
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createContactCard(identity!));
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (err) { console.error(err); }
+  };
+
+  const handleAddContacts = async (text: string) => {
+    setCardInput(text);
+    if (!text.includes("GC2:KC")) return;
+    const found = (await readContactCards(text)).filter(c => c.signingKey !== identity?.signingKey);
+    if (found.length === 0) {
+      setError("Contact card damaged in transit.");
+      return;
+    }
+    // A newer card for a known key replaces the old one (renamed contact)
+    const keys = new Set(found.map(c => c.signingKey));
+    setContacts([...contacts.filter(c => !keys.has(c.signingKey)), ...found]);
+    setCardInput("");
+    setError(null);
+  };
+
+  return (
+    <div className="max-w-xl mx-auto mb-8 bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl space-y-6 animate-slide-up">
+      <div className="flex items-center justify-between px-2">
+        <div>
+          <h3 className="text-white font-bold text-sm tracking-tight">Keyring</h3>
+          <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">{identity ? `Signing as ${identity.name}` : 'No Identity'} · {contacts.length} Contacts</p>
+        </div>
+        <button onClick={onClose} className="w-8 h-8 rounded-full bg-zinc-900 flex items-center justify-center border border-white/5 tap-scale"><X size={14} className="text-zinc-500" /></button>
+      </div>
+
+      {identity ? (
+        <div className="p-5 bg-zinc-900/50 border border-white/5 rounded-3xl space-y-4">
+          <div className="flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <p className="text-white font-bold text-sm truncate flex items-center gap-2"><KeyRound size={14} className="text-blue-500" /> {identity.name}</p>
+              <p className="text-[10px] font-mono text-blue-400 tabular-nums mt-1">{fingerprint}</p>
+            </div>
+            <button onClick={() => setConfirmDelete(true)} className="p-2 bg-zinc-900 text-zinc-500 hover:text-red-500 rounded-xl border border-white/5 tap-scale"><Trash2 size={16} /></button>
+          </div>
+          {confirmDelete && (
+            <div className="p-4 bg-red-950/20 border border-red-500/30 rounded-2xl space-y-3 animate-fade-in">
+              <p className="flex items-center gap-3 text-red-400 text-[9px] font-black uppercase tracking-widest"><AlertCircle size={16} /> Contacts will no longer recognise you</p>
+              <div className="flex gap-2">
+                <button onClick={() => setConfirmDelete(false)} className="flex-1 py-3 bg-zinc-900 text-zinc-400 rounded-2xl text-[9px] font-black uppercase tracking-widest border border-white/5 tap-scale">Keep</button>
+                <button onClick={() => { setConfirmDelete(false); setIdentity(null); }} className="flex-1 py-3 bg-red-600 text-white rounded-2xl text-[9px] font-black uppercase tracking-widest tap-scale">Delete Identity</button>
+              </div>
+            </div>
+          )}
+          <button
+            onClick={handleCopy}
+            className={`w-full py-4 rounded-2xl font-black text-[9px] uppercase tracking-[0.2em] flex items-center justify-center gap-2 transition-all tap-scale ${isCopied ? 'bg-green-600 text-white' : 'bg-white text-black'}`}
+          >
+            {isCopied ? <CheckCircle size={14} /> : <Copy size={14} />}
+            {isCopied ? "Card Copied" : "Copy Contact Card"}
+          </button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleCreate(); }}
+            placeholder="YOUR NAME"
+            className="flex-1 min-w-0 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-2xl px-4 py-3 text-[11px] font-mono text-blue-400 outline-none tracking-widest"
+          />
+          <button
+            onClick={handleCreate}
+            disabled={!name.trim() || isCreating}
+            className="px-5 bg-blue-600 text-white rounded-2xl font-black text-[9px] uppercase tracking-widest flex items-center gap-2 tap-scale disabled:opacity-50"
+          >
+            {isCreating ? <Loader2 size={14} className="animate-spin" /> : <KeyRound size={14} />} Create
+          </button>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <p className="text-[8px] text-zinc-500 font-black uppercase tracking-[0.3em] px-2">Contacts</p>
+        {contacts.map(contact => (
+          <div key={contact.signingKey} className="flex items-center justify-between gap-4 p-4 bg-zinc-900/50 border border-white/5 rounded-2xl">
+            <div className="min-w-0">
+              <p className="text-white font-bold text-xs truncate">{contact.name}</p>
+              <p className="text-[9px] font-mono text-zinc-500 tabular-nums mt-0.5">{contact.fingerprint}</p>
+            </div>
+            <button onClick={() => setContacts(contacts.filter(c => c.signingKey !== contact.signingKey))} className="p-2 text-zinc-600 hover:text-red-500 tap-scale"><Trash2 size={14} /></button>
+          </div>
+        ))}
+        <div className="relative">
+          <UserPlus size={14} className="absolute left-5 top-5 text-zinc-600" />
+          <textarea
+            value={cardInput}
+            onChange={(e) => handleAddContacts(e.target.value)}
+            placeholder="PASTE CONTACT CARD (GC2:KC:...)"
+            className="w-full h-20 pl-12 pr-4 py-4 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-2xl text-[10px] font-mono text-blue-400 outline-none resize-none break-all"
+          />
+        </div>
+        {error && <p className="text-[9px] text-red-500 font-black uppercase tracking-widest px-2">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default KeyringPanel;
@@ -0,0 +1,74 @@
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { Play, Pause } from 'lucide-react';
+import { encodeQr } from '../services/qr';
+import { QR_FRAME_MS, QR_GRID_MAX } from '../types';
+
+interface QrVolumesProps {
+  volumes: string[];
+}
+
+const QUIET_ZONE = 4; // Modules of white border scanners need
+
+// One SVG path per code: a unit square for every dark module
+const qrPath = (text: string): { d: string; size: number } => {
+  const code = encodeQr(text);
+  let d = '';
+  for (let y = 0; y < code.size; y++) {
+    for (let x = 0; x < code.size; x++) {
+      if (code.modules[y * code.size + x]) d += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+    }
+  }
+  return { d, size: code.size + QUIET_ZONE * 2 };
+};
+
+const QrImage: React.FC<{ path: { d: string; size: number } }> = ({ path }) => (
+  <svg viewBox={`0 0 ${path.size} ${path.size}`} shapeRendering="crispEdges" className="w-full h-auto bg-white rounded-2xl">
+    <path d={path.d} fill="#000" />
+  </svg>
+);
+
+/**
+ * Volumes as QR codes for an air gap: a grid to photograph or screenshot when there are few,
+ * otherwise a sequence that cycles on its own, for the receiver to record.
+ */
+const QrVolumes: React.FC<QrVolumesProps> = ({ volumes }) => {
+  const paths = useMemo(() => volumes.map(qrPath), [volumes]);
+  const [frame, setFrame] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const animated = volumes.length > QR_GRID_MAX;
+
+  useEffect(() => { setFrame(0); }, [volumes]);
+
+  useEffect(() => {
+    if (!animated || !isPlaying) return;
+    const timer = setInterval(() => setFrame(f => (f + 1) % volumes.length), QR_FRAME_MS);
+    return () => clearInterval(timer);
+  }, [animated, isPlaying, volumes.length]);
+
+  if (!animated) {
+    return (
+      <div className="space-y-3">
+        <div className={`grid gap-3 ${volumes.length > 1 ? 'grid-cols-2' : 'grid-cols-1'}`}>
+          {paths.map((path, i) => <QrImage key={i} path={path} />)}
+        </div>
+        <p className="text-center text-[8px] text-zinc-600 font-black uppercase tracking-widest">Photograph or screenshot all {volumes.length} codes</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <QrImage path={paths[Math.min(frame, paths.length - 1)]} />
+      <div className="flex items-center justify-between px-2">
+        <button onClick={() => setIsPlaying(!isPlaying)} className="w-10 h-10 rounded-xl bg-zinc-900 border border-white/5 flex items-center justify-center text-white tap-scale">
+          {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+        </button>
+        <span className="text-[9px] text-zinc-500 font-black uppercase tracking-widest tabular-nums">Code {Math.min(frame, volumes.length - 1) + 1} / {volumes.length}</span>
+      </div>
+      <p className="text-center text-[8px] text-zinc-600 font-black uppercase tracking-widest">Record the screen through at least one full cycle</p>
+    </div>
+  );
+};
+
+export default QrVolumes;
@@ -0,0 +1,65 @@
+
+import React, { useState } from 'react';
+import { X, MessageSquare } from 'lucide-react';
+import { TransferSettings, MESSENGER_LIMITS, CUSTOM_LIMIT_ID } from '../types';
+import { MIN_CUSTOM_CHARS, resolveMaxChars } from '../services/settings';
+
+interface SettingsPanelProps {
+  settings: TransferSettings;
+  setSettings: (s: TransferSettings) => void;
+  onClose: () => void;
+}
+
+const SettingsPanel: React.FC<SettingsPanelProps> = ({ settings, setSettings, onClose }) => {
+  const isCustom = settings.limitId === CUSTOM_LIMIT_ID;
+  // Typing only edits the draft; every applied limit re-cuts the current volumes
+  const [customDraft, setCustomDraft] = useState(String(settings.customMaxChars));
+
+  const applyCustom = (e?: React.FormEvent) => {
+    e?.preventDefault();
+    const customMaxChars = parseInt(customDraft) || 0;
+    if (isCustom && customMaxChars === settings.customMaxChars) return;
+    setSettings({ ...settings, limitId: CUSTOM_LIMIT_ID, customMaxChars });
+  };
+
+  return (
+    <div className="max-w-xl mx-auto mb-8 bg-[#111] border border-white/5 rounded-[2.5rem] p-6 shadow-2xl space-y-6 animate-slide-up">
+      <div className="flex items-center justify-between px-2">
+        <div>
+          <h3 className="text-white font-bold text-sm tracking-tight">Messenger Profile</h3>
+          <p className="text-[9px] text-zinc-500 font-black uppercase tracking-widest mt-0.5">Max {resolveMaxChars(settings).toLocaleString()} Chars / Volume</p>
+        </div>
+        <button onClick={onClose} className="w-8 h-8 rounded-full bg-zinc-900 flex items-center justify-center border border-white/5 tap-scale"><X size={14} className="text-zinc-500" /></button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {MESSENGER_LIMITS.map(limit => (
+          <button
+            key={limit.id}
+            onClick={() => setSettings({ ...settings, limitId: limit.id })}
+            className={`py-4 rounded-2xl text-[9px] font-black uppercase tracking-widest transition-all tap-scale border ${settings.limitId === limit.id ? 'bg-blue-600/10 border-blue-600/30 text-blue-400' : 'bg-zinc-900/50 border-white/5 text-zinc-500'}`}
+          >
+            {limit.name}
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={applyCustom} className={`p-5 rounded-3xl border transition-all flex items-center gap-4 ${isCustom ? 'bg-blue-600/10 border-blue-600/30' : 'bg-zinc-900/50 border-white/5'}`}>
+        <button type="button" onClick={() => setSettings({ ...settings, limitId: CUSTOM_LIMIT_ID })} className={`flex items-center gap-3 text-[9px] font-black uppercase tracking-widest tap-scale ${isCustom ? 'text-blue-400' : 'text-zinc-500'}`}>
+          <MessageSquare size={16} /> Custom
+        </button>
+        <input
+          type="number"
+          min={MIN_CUSTOM_CHARS}
+          step={500}
+          value={customDraft}
+          onChange={(e) => setCustomDraft(e.target.value)}
+          onBlur={() => applyCustom()}
+          className="flex-1 min-w-0 bg-black border border-zinc-900 focus:border-blue-600/30 rounded-2xl px-4 py-3 text-[11px] font-mono text-blue-400 outline-none text-right tabular-nums"
+        />
+      </form>
+    </div>
+  );
+};
+
+export default SettingsPanel;
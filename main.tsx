@@ -0,0 +1,7 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import './index.css';
+
+// Entry of the vite build; index.tsx and index.js are the earlier single-file versions
+createRoot(document.getElementById('root')!).render(<App />);
@@ -1,44 +1,62 @@
+// GhostComm service worker. The build (precacheManifest in vite.config.ts) fills in the two
+// constants below with this build's hash and the files `vite build` wrote, hashed names included.
+const BUILD_ID = __BUILD_ID__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
 
-const CACHE_NAME = 'ghostcomm-v1.5.0';
-const ASSETS_TO_CACHE = [
-  './',
-  './index.html',
-  './index.js',
-  'https://cdn.tailwindcss.com',
-  'https://esm.sh/react@19.0.0',
-  'https://esm.sh/react-dom@19.0.0/client',
-  'https://esm.sh/htm',
-  'https://esm.sh/lucide-react@0.460.0'
-];
+const CACHE_PREFIX = 'ghostcomm-';
+const PRECACHE = `${CACHE_PREFIX}${BUILD_ID}`;
+const SHARE = `${CACHE_PREFIX}share`; // Hand-over of OS share sheet content to the page, see services/pwa.ts
+const SHARE_ACTION = new URL('./share-target', self.registration.scope).href;
 
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(ASSETS_TO_CACHE);
-    })
-  );
-  self.skipWaiting();
+  // No skipWaiting here: the page shows "update ready" and decides when to switch
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
 });
 
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    caches.keys()
+      .then((names) => Promise.all(
+        names
+          .filter((name) => name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== SHARE)
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
+// Share sheet POST: park the text and files where the page can pick them up, then open it
+const receiveShare = async (request) => {
+  const form = await request.formData();
+  const text = ['title', 'text', 'url'].map((field) => form.get(field)).filter(Boolean).join('\n');
+  const cache = await caches.open(SHARE);
+  await Promise.all((await cache.keys()).map((key) => cache.delete(key)));
+  await cache.put('text', new Response(text));
+  const files = form.getAll('files').filter((f) => f instanceof File);
+  await Promise.all(files.map((file, i) => cache.put(`file/${i}`, new Response(file, {
+    headers: { 'Content-Type': file.type || 'application/octet-stream', 'X-File-Name': encodeURIComponent(file.name) }
+  }))));
+  return Response.redirect(new URL('./?share=1', self.registration.scope).href, 303);
+};
+
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      return response || fetch(event.request);
-    })
-  );
+  const { request } = event;
+  if (request.method === 'POST' && request.url === SHARE_ACTION) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  // Styles and fonts are bundled, so anything cross-origin is left to the network
+  if (new URL(request.url).origin !== self.location.origin) return;
+  // The app is a single page: every navigation gets the precached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match('./index.html').then((shell) => shell || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request).then((response) => response || fetch(request)));
 });
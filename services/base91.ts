@@ -1,4 +1,6 @@
 
+import { codesToString } from './encoding';
+
 /**
  * Base91 Encoding Service
  * Optimized for sending binary data over text-based messengers.
@@ -6,11 +8,25 @@
  */
 
 const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~";
+const ALPHABET_SET = new Set(ALPHABET);
+
+export const isBase91Char = (char: string): boolean => ALPHABET_SET.has(char);
+
+// Character code -> alphabet index, -1 for everything else
+const DECODE_TABLE = (() => {
+  const table = new Int8Array(128).fill(-1);
+  for (let i = 0; i < ALPHABET.length; i++) table[ALPHABET.charCodeAt(i)] = i;
+  return table;
+})();
+
+const ENCODE_TABLE = Uint8Array.from(ALPHABET, c => c.charCodeAt(0));
 
 export const encodeBase91 = (data: Uint8Array): string => {
+  // At most 2 characters per 13 bits, plus the trailing pair
+  const out = new Uint8Array(Math.ceil(data.length * 16 / 13) + 2);
+  let written = 0;
   let b = 0;
   let n = 0;
-  let out = "";
 
   for (let i = 0; i < data.length; i++) {
     b |= data[i] << n;
@@ -25,28 +41,32 @@ export const encodeBase91 = (data: Uint8Array): string => {
         b >>= 14;
         n -= 14;
       }
-      out += ALPHABET[v % 91] + ALPHABET[Math.floor(v / 91)];
+      out[written++] = ENCODE_TABLE[v % 91];
+      out[written++] = ENCODE_TABLE[Math.floor(v / 91)];
     }
   }
 
   if (n > 0) {
-    out += ALPHABET[b % 91];
+    out[written++] = ENCODE_TABLE[b % 91];
     if (n > 7 || b > 90) {
-      out += ALPHABET[Math.floor(b / 91)];
+      out[written++] = ENCODE_TABLE[Math.floor(b / 91)];
     }
   }
 
-  return out;
+  return codesToString(out.subarray(0, written));
 };
 
 export const decodeBase91 = (str: string): Uint8Array => {
+  // Every character pair yields at most 14 bits
+  const out = new Uint8Array(Math.ceil(str.length * 7 / 8) + 1);
+  let written = 0;
   let b = 0;
   let n = 0;
   let v = -1;
-  const out = [];
 
   for (let i = 0; i < str.length; i++) {
-    const c = ALPHABET.indexOf(str[i]);
+    const code = str.charCodeAt(i);
+    const c = code < 128 ? DECODE_TABLE[code] : -1;
     if (c === -1) continue;
 
     if (v < 0) {
@@ -56,7 +76,7 @@ export const decodeBase91 = (str: string): Uint8Array => {
       b |= v << n;
       n += (v & 8191) > 88 ? 13 : 14;
       do {
-        out.push(b & 255);
+        out[written++] = b & 255;
         b >>= 8;
         n -= 8;
       } while (n > 7);
@@ -65,18 +85,8 @@ export const decodeBase91 = (str: string): Uint8Array => {
   }
 
   if (v > -1) {
-    out.push((b | (v << n)) & 255);
+    out[written++] = (b | (v << n)) & 255;
   }
 
-  return new Uint8Array(out);
-};
-
-export const calculateChecksum = (data: string): string => {
-  let hash = 0;
-  for (let i = 0; i < data.length; i++) {
-    const char = data.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36).substring(0, 4).toUpperCase();
+  return out.slice(0, written);
 };
@@ -0,0 +1,85 @@
+
+import { FileMetadata, MediaType } from '../types';
+import { safeName } from './metadata';
+
+/**
+ * GhostComm Bundle
+ * Several files in one transfer (albums, mixed media). Every item has been through its own
+ * media pipeline already; the bundle then travels as a single payload, so the items share
+ * one transfer ID, seal, digest and parity set.
+ * Layout: MAGIC (4) | INDEX LENGTH (uint32) | UTF-8 JSON [{name, mime, size, type}] | ITEM BYTES
+ * Items follow the index back to back, each `size` bytes long.
+ */
+
+const MAGIC = new Uint8Array([0x47, 0x43, 0x42, 0x31]); // "GCB1"
+const LENGTH_FIELD = 4;
+
+export const BUNDLE_MIME = 'application/x-ghostcomm-bundle';
+export const BUNDLE_ERROR = "Bundle index damaged.";
+export const MAX_BUNDLE_ITEMS = 64;
+
+export interface BundleEntry {
+  type: MediaType;
+  meta: FileMetadata;
+  bytes: Uint8Array;
+}
+
+interface IndexEntry extends FileMetadata {
+  type: MediaType;
+}
+
+/**
+ * Display name of a bundle; receivers only ever see it in the inbox list.
+ */
+export const bundleName = (count: number): string => `Bundle (${count} items)`;
+
+export const packBundle = (entries: BundleEntry[]): Uint8Array => {
+  const index: IndexEntry[] = entries.map(e => ({ name: e.meta.name, mime: e.meta.mime, size: e.bytes.length, type: e.type }));
+  const json = new TextEncoder().encode(JSON.stringify(index));
+  const out = new Uint8Array(MAGIC.length + LENGTH_FIELD + json.length + entries.reduce((a, e) => a + e.bytes.length, 0));
+  out.set(MAGIC);
+  new DataView(out.buffer).setUint32(MAGIC.length, json.length);
+  let offset = MAGIC.length + LENGTH_FIELD;
+  out.set(json, offset);
+  offset += json.length;
+  for (const entry of entries) {
+    out.set(entry.bytes, offset);
+    offset += entry.bytes.length;
+  }
+  return out;
+};
+
+export const isBundle = (data: Uint8Array): boolean =>
+  data.length >= MAGIC.length + LENGTH_FIELD && MAGIC.every((b, i) => data[i] === b);
+
+/**
+ * Splits a bundle back into its items; the item bytes are views into `data`.
+ */
+export const unpackBundle = (data: Uint8Array): BundleEntry[] => {
+  if (!isBundle(data)) throw new Error(BUNDLE_ERROR);
+  const jsonLength = new DataView(data.buffer, data.byteOffset).getUint32(MAGIC.length);
+  let offset = MAGIC.length + LENGTH_FIELD;
+  if (offset + jsonLength > data.length) throw new Error(BUNDLE_ERROR);
+
+  let index: IndexEntry[];
+  try {
+    index = JSON.parse(new TextDecoder().decode(data.subarray(offset, offset + jsonLength)));
+  } catch (e) {
+    throw new Error(BUNDLE_ERROR);
+  }
+  if (!Array.isArray(index) || index.length > MAX_BUNDLE_ITEMS) throw new Error(BUNDLE_ERROR);
+  offset += jsonLength;
+
+  const types = Object.values(MediaType) as string[];
+  return index.map(entry => {
+    const size = Number(entry?.size);
+    if (typeof entry?.name !== 'string' || typeof entry.mime !== 'string' || !Number.isInteger(size) || size < 0 || offset + size > data.length) {
+      throw new Error(BUNDLE_ERROR);
+    }
+    const bytes = data.subarray(offset, offset + size);
+    offset += size;
+    // Nested bundles are not a thing; anything unknown is kept as a plain file
+    const type = types.includes(entry.type) && entry.type !== MediaType.BUNDLE ? entry.type : MediaType.FILE;
+    return { type, meta: { name: safeName(entry.name), mime: entry.mime, size }, bytes };
+  });
+};
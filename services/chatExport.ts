@@ -0,0 +1,121 @@
+
+/**
+ * GhostComm Chat Export Import
+ * Turns exported chat history into plain message bodies, so a whole thread can be fed to
+ * extractFromMessages at once. Sender names, timestamps and markup are stripped here; the
+ * chunker then rejoins volumes the messenger split over several messages.
+ *   WhatsApp / Signal text: "31/12/2023, 21:41 - Name: ...", "[31.12.23, 21:41:05] Name: ..."
+ *   Telegram JSON (result.json) and any JSON with text / body / message fields
+ *   Telegram HTML (messages.html) and other HTML exports
+ * Pure string work, no DOM: runs in the pipeline worker and in the CLI.
+ */
+
+// Date, time, optional AM/PM, optional " - " and "Name: ". WhatsApp puts U+200E marks and
+// narrow no-break spaces in here depending on platform and locale.
+const LINE_PREFIX = /^[\u200e\u200f\ufeff]*\[?\d{1,4}[./-]\d{1,2}[./-]\d{1,4},?\s+\d{1,2}[:.]\d{2}(?:[:.]\d{2})?(?:\s?[APap]\.?\s?[Mm]\.?)?\]?\s*(?:[-–]\s*)?(?:[^:\n]{1,80}?:\s?)?/;
+
+// JSON keys that hold a message body
+const MESSAGE_KEYS = new Set(['text', 'body', 'message', 'content']);
+
+// Telegram's message text; its "body" wrapper also holds the sender name and time
+const HTML_BODY = /<div\b[^>]*class="text"[^>]*>([\s\S]*?)<\/div>/gi;
+
+const NAMED_ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * One message per line prefix; lines without a prefix continue the previous message.
+ * Text without any prefix (a plain paste saved to a file) comes back as a single message.
+ */
+export const parseTextExport = (content: string): string[] => {
+  const messages: string[] = [];
+  let current: string[] | null = null;
+  // The newline that ends the file does not belong to the last message
+  for (const line of content.replace(/\r?\n$/, '').split(/\r?\n/)) {
+    const prefix = line.match(LINE_PREFIX);
+    if (prefix || !current) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+    }
+    current.push(prefix ? line.substring(prefix[0].length) : line);
+  }
+  if (current) messages.push(current.join('\n'));
+  return messages;
+};
+
+// Telegram stores formatted text as an array of strings and { type, text } entities
+const flattenText = (value: unknown): string | null => {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    return value.map(part => typeof part === 'string' ? part : (part && typeof part.text === 'string' ? part.text : '')).join('');
+  }
+  return null;
+};
+
+const collectMessages = (node: unknown, messages: string[]) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectMessages(child, messages));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  const entries = Object.entries(node);
+  // A message object is taken whole: Telegram repeats its text in "text_entities"
+  const body = entries.find(([key, value]) => MESSAGE_KEYS.has(key) && flattenText(value) !== null);
+  if (body) {
+    const text = flattenText(body[1]);
+    if (text) messages.push(text);
+    return;
+  }
+  entries.forEach(([, value]) => collectMessages(value, messages));
+};
+
+/**
+ * Message bodies of a JSON export in document order, or null if the content is not JSON.
+ */
+export const parseJsonExport = (content: string): string[] | null => {
+  let data: unknown;
+  try {
+    data = JSON.parse(content);
+  } catch (e) {
+    return null;
+  }
+  const messages: string[] = [];
+  collectMessages(data, messages);
+  return messages;
+};
+
+const decodeEntities = (html: string): string => html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code: string) => {
+  if (code[0] === '#') {
+    const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1));
+    return point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const htmlToText = (html: string): string =>
+  decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '')).trim();
+
+/**
+ * Message bodies of an HTML export. Without recognisable body elements the page text
+ * is read like a text export.
+ */
+export const parseHtmlExport = (content: string): string[] => {
+  const messages = Array.from(content.matchAll(HTML_BODY), match => htmlToText(match[1])).filter(Boolean);
+  if (messages.length > 0) return messages;
+  const body = content.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '').replace(/<\/(p|div|li|tr)>/gi, '\n');
+  return parseTextExport(htmlToText(body));
+};
+
+/**
+ * Picks a parser by file extension, falling back to sniffing the content
+ * (exports pasted on stdin or saved without extension).
+ */
+export const parseChatExport = (fileName: string, content: string): string[] => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  const start = content.trimStart()[0];
+  if (extension === 'json' || (extension !== 'txt' && (start === '{' || start === '['))) {
+    const messages = parseJsonExport(content);
+    if (messages) return messages;
+  }
+  if (extension === 'html' || extension === 'htm' || (extension !== 'txt' && start === '<')) return parseHtmlExport(content);
+  return parseTextExport(content);
+};
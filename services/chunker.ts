@@ -1,78 +1,395 @@
 
-import { Chunk, MediaType } from '../types';
-import { calculateChecksum } from './encoding';
+import { Alphabet, Chunk, MediaType, ResendRequest } from '../types';
+import { calculateChecksum, calculateLegacyChecksum, calculateDigest, codesToString, encodeBase32768, decodeBase32768 } from './encoding';
+import { encodeBase91, decodeBase91, isBase91Char } from './base91';
+import { encodeParity, recoverShards, MAX_SHARDS } from './erasure';
 
-const APP_PREFIX = "GC"; 
+const PROTOCOL_V2 = "GC2";
+const TRANSFER_ID_LENGTH = 6;
+const FRAME_HEADER = 4;
+const CJK_START = 0x4E00;
+const CJK_END = 0x4E00 + 32768;
 
-export const createVolumes = (type: MediaType, encodedText: string, maxChars: number): string[] => {
-  const headerEstimate = 40;
-  const effectivePayloadSize = maxChars - headerEstimate; 
-  if (effectivePayloadSize <= 0) throw new Error("Character limit too low for transmission.");
+// v2: GC2:ID:TYPE:ALPHABET:TOTAL[+PARITY]:INDEX:CRC:[SHA256:]  (ALPHABET absent = Base32768)
+// v1: GC:TYPE:TOTAL:INDEX:CRC:
+// Whole headers are matched, not just the marker, because Base91 payloads may contain "GC:" themselves.
+const HEADER_PATTERN = /GC2:([0-9A-Za-z]+):([A-Z]):(?:(B32K|B91):)?(\d+)(?:\+(\d+))?:(\d+):([0-9A-F]{8}):(?:([0-9a-f]{64}):)?|GC:([A-Z]):(\d+):(\d+):([0-9A-Z]{1,4}):/g;
 
-  const totalChunks = Math.ceil(encodedText.length / effectivePayloadSize);
-  const volumes: string[] = [];
+const hasHeader = (text: string): boolean => new RegExp(HEADER_PATTERN.source).test(text);
 
+// Control messages (resend requests, signatures, contact cards) travel in the same thread;
+// Base91 shares their characters, so they are cut out before a volume payload is read
+const CONTROL_PATTERN = /GC2:(?:RQ|SG|KC):[0-9A-Za-z_,:-]*/g;
+const stripControl = (text: string): string => text.replace(CONTROL_PATTERN, ' ');
+
+// How many follow-up messages a split volume may span (Telegram cuts at 4096 characters)
+const MAX_JOINED_MESSAGES = 64;
+// How many of those are also tried in every combination, for chatter between the parts
+const MAX_SUBSET_MESSAGES = 8;
+
+// Resend request: GC2:RQ:ID:RANGES:CRC  e.g. GC2:RQ:K3F9ZA:2,5-7:92D36F11
+const RESEND_MARKER = "RQ";
+const RESEND_PATTERN = /GC2:RQ:([0-9A-Za-z]+):([\d,-]+):([0-9A-F]{8})/g;
+
+export interface VolumeOptions {
+  transferId?: string;
+  redundancy?: number; // Parity volumes per data volume, e.g. 0.25
+  alphabet?: Alphabet;
+  onProgress?: (fraction: number) => void; // Called after every volume
+}
+
+const encodeBlock = (data: Uint8Array, alphabet: Alphabet): string =>
+  alphabet === Alphabet.BASE91 ? encodeBase91(data) : encodeBase32768(data);
+
+const decodeBlock = (text: string, alphabet: Alphabet): Uint8Array =>
+  alphabet === Alphabet.BASE91 ? decodeBase91(text) : decodeBase32768(text);
+
+// Drop everything the messenger added that is not part of the alphabet (spaces, newlines, names...)
+const cleanPayload = (raw: string, alphabet: Alphabet): string => {
+  const codes = new Uint16Array(raw.length);
+  let kept = 0;
+  for (let j = 0; j < raw.length; j++) {
+    const code = raw.charCodeAt(j);
+    const keep = alphabet === Alphabet.BASE91 ? isBase91Char(raw[j]) : code >= CJK_START && code < CJK_END;
+    if (keep) codes[kept++] = code;
+  }
+  return codesToString(codes.subarray(0, kept));
+};
+
+/**
+ * Random base36 tag that keeps concurrent transfers apart in the same thread.
+ */
+export const createTransferId = (): string => {
+  let id = '';
+  while (id.length < TRANSFER_ID_LENGTH) {
+    for (const b of crypto.getRandomValues(new Uint8Array(TRANSFER_ID_LENGTH))) {
+      // 252 = 7 * 36: bytes above it would favour the first four digits
+      if (b < 252 && id.length < TRANSFER_ID_LENGTH) id += (b % 36).toString(36);
+    }
+  }
+  return id.toUpperCase();
+};
+
+/**
+ * v1 volumes carry no transfer ID, so the best we can do is keep
+ * volumes of different shape (type + total) from mixing.
+ */
+const legacyTransferId = (type: string, total: number): string => `V1-${type}-${total}`;
+
+// Erasure coding needs equal-length shards: LENGTH (4) | BYTES | ZERO PADDING
+const frameShard = (shard: Uint8Array, shardSize: number): Uint8Array => {
+  const framed = new Uint8Array(FRAME_HEADER + shardSize);
+  new DataView(framed.buffer).setUint32(0, shard.length);
+  framed.set(shard, FRAME_HEADER);
+  return framed;
+};
+
+const unframeShard = (framed: Uint8Array): Uint8Array => {
+  const length = new DataView(framed.buffer, framed.byteOffset).getUint32(0);
+  return framed.slice(FRAME_HEADER, FRAME_HEADER + length);
+};
+
+const concatBytes = (parts: Uint8Array[]): Uint8Array => {
+  const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+};
+
+/**
+ * Payload bytes that fit in one volume at the given character limit.
+ */
+export const shardCapacity = (maxChars: number, alphabet: Alphabet = Alphabet.BASE32768): number => {
+  const headerEstimate = 45 + 65; // Fixed fields + optional digest field
+  const effectivePayloadSize = maxChars - headerEstimate;
+  if (alphabet === Alphabet.BASE91) {
+    // Worst case 13 bits per 2 characters plus a trailing pair, minus the parity frame header
+    return Math.floor(Math.floor((effectivePayloadSize - 2) / 2) * 13 / 8) - FRAME_HEADER;
+  }
+  // 15 bits per character, minus the block length prefix and the parity frame header
+  return Math.floor(effectivePayloadSize * 15 / 8) - 8;
+};
+
+const parityCount = (dataCount: number, redundancy: number): number => {
+  if (redundancy <= 0) return 0;
+  return Math.max(0, Math.min(Math.ceil(dataCount * redundancy), MAX_SHARDS - dataCount));
+};
+
+/**
+ * Number of volumes (data + parity) createVolumes will produce for a payload of `byteLength`.
+ */
+export const estimateVolumeCount = (
+  byteLength: number,
+  maxChars: number,
+  redundancy = 0,
+  alphabet: Alphabet = Alphabet.BASE32768
+): number => {
+  const shardSize = shardCapacity(maxChars, alphabet);
+  if (shardSize <= 0) return Infinity;
+  const dataCount = Math.max(1, Math.ceil(byteLength / shardSize));
+  return dataCount + parityCount(dataCount, redundancy);
+};
+
+/**
+ * Splits the payload into self-contained v2 volumes. Every volume carries its own
+ * Base32768 or Base91 block, so any `total` of the `total + parity` volumes rebuild the data.
+ * The first volume and every parity volume also carry the SHA-256 of the whole payload.
+ */
+export const createVolumes = async (
+  type: MediaType,
+  data: Uint8Array,
+  maxChars: number,
+  { transferId = createTransferId(), redundancy = 0, alphabet = Alphabet.BASE32768, onProgress }: VolumeOptions = {}
+): Promise<string[]> => {
+  const shardSize = shardCapacity(maxChars, alphabet);
+  if (shardSize <= 0) throw new Error("Character limit too low for transmission.");
+
+  const totalChunks = Math.max(1, Math.ceil(data.length / shardSize));
+  const shards: Uint8Array[] = [];
   for (let i = 0; i < totalChunks; i++) {
-    const start = i * effectivePayloadSize;
-    const end = Math.min(start + effectivePayloadSize, encodedText.length);
-    const payload = encodedText.substring(start, end);
-    const checksum = calculateChecksum(payload);
-    
-    // Header format: GC:TYPE:TOTAL:INDEX:CRC:
-    const header = `${APP_PREFIX}:${type}:${totalChunks}:${i}:${checksum}:`;
-    volumes.push(header + payload);
+    shards.push(data.subarray(i * shardSize, Math.min((i + 1) * shardSize, data.length)));
   }
 
-  return volumes;
+  const parity = parityCount(totalChunks, redundancy);
+  const parityShards = parity > 0 ? encodeParity(shards.map(s => frameShard(s, shardSize)), parity) : [];
+  const totalField = parity > 0 ? `${totalChunks}+${parity}` : `${totalChunks}`;
+  const digest = await calculateDigest(data);
+  const allShards = [...shards, ...parityShards];
+
+  return allShards.map((shard, i) => {
+    const payload = encodeBlock(shard, alphabet);
+    const checksum = calculateChecksum(payload);
+    const digestField = (i === 0 || i >= totalChunks) ? `${digest}:` : '';
+
+    // Header format: GC2:ID:TYPE:ALPHABET:TOTAL[+PARITY]:INDEX:CRC:[SHA256:]
+    const header = `${PROTOCOL_V2}:${transferId}:${type}:${alphabet}:${totalField}:${i}:${checksum}:${digestField}`;
+    onProgress?.((i + 1) / allShards.length);
+    return header + payload;
+  });
+};
+
+// Validated volume for a header match and the raw text that followed it
+const readVolume = (match: RegExpMatchArray, raw: string): { chunk: Chunk | null; calculated?: string } => {
+  const isV2 = match[1] !== undefined;
+  const type = (isV2 ? match[2] : match[9]) as MediaType;
+  const alphabet = (match[3] as Alphabet | undefined) ?? Alphabet.BASE32768;
+  const total = parseInt(isV2 ? match[4] : match[10]);
+  const parity = isV2 && match[5] ? parseInt(match[5]) : 0;
+  const index = parseInt(isV2 ? match[6] : match[11]);
+  const checksum = isV2 ? match[7] : match[12];
+  const digest = isV2 ? match[8] : undefined;
+  if (index >= total + parity) return { chunk: null };
+  const transferId = isV2 ? match[1].toUpperCase() : legacyTransferId(type, total);
+
+  // Messenger might have added newlines or spaces
+  const payload = cleanPayload(stripControl(raw), alphabet);
+  if (payload.length === 0) return { chunk: null };
+
+  const calculated = isV2 ? calculateChecksum(payload) : calculateLegacyChecksum(payload);
+  if (calculated !== checksum) return { chunk: null, calculated };
+  return { chunk: { version: isV2 ? 2 : 1, transferId, type, alphabet, total, parity, index, checksum, digest, payload } };
+};
+
+const warnMismatch = (match: RegExpMatchArray, calculated: string) => {
+  const isV2 = match[1] !== undefined;
+  const transferId = isV2 ? match[1].toUpperCase() : legacyTransferId(match[9], parseInt(match[10]));
+  console.warn(`Checksum mismatch for part ${isV2 ? match[6] : match[11]} of ${transferId}. Expected ${isV2 ? match[7] : match[12]}, got ${calculated}`);
+};
+
+const addChunk = (transfers: Map<string, Chunk[]>, chunk: Chunk) => {
+  const group = transfers.get(chunk.transferId) || [];
+  group.push(chunk);
+  transfers.set(chunk.transferId, group);
 };
 
 /**
  * Robustly extracts chunks from potentially "dirty" text copied from Messenger.
+ * Accepts both v2 and legacy v1 volumes (see HEADER_PATTERN) and returns them grouped by transfer ID.
  */
-export const extractAllChunks = (text: string): Chunk[] => {
-  const foundChunks: Chunk[] = [];
-  
-  // Split by GC: to find all potential chunk starts
-  const segments = text.split("GC:");
-  
-  for (const segment of segments) {
-    if (!segment.trim()) continue;
-    
-    // Each segment should look like TYPE:TOTAL:INDEX:CRC:PAYLOAD
-    const parts = segment.split(":");
-    if (parts.length < 5) continue;
-    
-    try {
-      const type = parts[0] as MediaType;
-      const total = parseInt(parts[1]);
-      const index = parseInt(parts[2]);
-      const checksum = parts[3];
-      
-      // The rest of the segment (all parts after CRC) contains the payload
-      // Messenger might have added newlines or spaces at the very end
-      const rawPayload = parts.slice(4).join(":");
-      
-      // Clean payload: Only keep CJK characters used by our encoder
-      let cleanedPayload = "";
-      for (let j = 0; j < rawPayload.length; j++) {
-        const code = rawPayload.charCodeAt(j);
-        if (code >= 0x4E00 && code < 0x4E00 + 32768) {
-          cleanedPayload += rawPayload[j];
-        }
+export const extractAllChunks = (text: string): Map<string, Chunk[]> => {
+  const transfers = new Map<string, Chunk[]>();
+  const headers = Array.from(text.matchAll(HEADER_PATTERN));
+
+  headers.forEach((match, h) => {
+    // The payload runs until the next header
+    const payloadEnd = h + 1 < headers.length ? headers[h + 1].index! : text.length;
+    const { chunk, calculated } = readVolume(match, text.substring(match.index! + match[0].length, payloadEnd));
+    if (chunk) addChunk(transfers, chunk);
+    else if (calculated) warnMismatch(match, calculated);
+  });
+
+  return transfers;
+};
+
+// A message that could be the tail of a split volume: nothing but alphabet characters
+const isContinuation = (message: string, alphabet: Alphabet): boolean => {
+  const body = stripControl(message);
+  const length = body.replace(/\s/g, '').length;
+  return length > 0 && cleanPayload(body, alphabet).length === length;
+};
+
+// Joins the head of a volume with the candidate messages after it: first as they came, then
+// leaving out messages, as chatter like "ok, got it!" is all Base91 characters too
+const joinVolume = (match: RegExpMatchArray, head: string, candidates: string[]): Chunk | null => {
+  for (let joined = 1; joined <= candidates.length; joined++) {
+    const { chunk } = readVolume(match, head + candidates.slice(0, joined).join(''));
+    if (chunk) return chunk;
+  }
+  const tried = Math.min(candidates.length, MAX_SUBSET_MESSAGES);
+  for (let subset = 1; subset < 1 << tried; subset++) {
+    const { chunk } = readVolume(match, head + candidates.filter((_, i) => i < tried && subset & (1 << i)).join(''));
+    if (chunk) return chunk;
+  }
+  return null;
+};
+
+/**
+ * extractAllChunks for a chat thread given message by message (see chatExport.ts).
+ * Messengers split long texts into several messages, so a volume that fails its
+ * checksum is extended with the following continuation messages until it validates.
+ * Chatter in between is left out; a message with a header starts the next volume.
+ */
+export const extractFromMessages = (messages: string[], maxJoined = MAX_JOINED_MESSAGES): Map<string, Chunk[]> => {
+  const transfers = new Map<string, Chunk[]>();
+
+  messages.forEach((message, m) => {
+    const headers = Array.from(message.matchAll(HEADER_PATTERN));
+    headers.forEach((match, h) => {
+      const payloadStart = match.index! + match[0].length;
+      if (h + 1 < headers.length) {
+        const { chunk, calculated } = readVolume(match, message.substring(payloadStart, headers[h + 1].index!));
+        if (chunk) addChunk(transfers, chunk);
+        else if (calculated) warnMismatch(match, calculated);
+        return;
       }
 
-      if (cleanedPayload.length > 0) {
-        const calculated = calculateChecksum(cleanedPayload);
-        if (calculated === checksum) {
-          foundChunks.push({ type, total, index, checksum, payload: cleanedPayload });
-        } else {
-          console.warn(`Checksum mismatch for part ${index}. Expected ${checksum}, got ${calculated}`);
-        }
+      // Last volume of the message: its tail may sit in the next messages
+      const head = message.substring(payloadStart);
+      const { chunk, calculated } = readVolume(match, head);
+      if (chunk) {
+        addChunk(transfers, chunk);
+        return;
       }
-    } catch (e) {
-      console.error("Failed to parse segment", e);
-    }
+      const alphabet = (match[3] as Alphabet | undefined) ?? Alphabet.BASE32768;
+      const candidates: string[] = [];
+      for (let next = m + 1; candidates.length < maxJoined && next < messages.length && !hasHeader(messages[next]); next++) {
+        if (isContinuation(messages[next], alphabet)) candidates.push(messages[next]);
+      }
+      const joined = joinVolume(match, head, candidates);
+      if (joined) addChunk(transfers, joined);
+      else if (calculated) warnMismatch(match, calculated);
+    });
+  });
+
+  return transfers;
+};
+
+/**
+ * SHA-256 announced by the transfer, if any received volume carries it (v1 never does).
+ */
+export const transferDigest = (volumes: Map<number, Chunk>): string | undefined => {
+  for (const chunk of volumes.values()) if (chunk.digest) return chunk.digest;
+  return undefined;
+};
+
+/**
+ * Block bytes of a single v2 volume, so volumes can be decoded as they arrive.
+ */
+export const decodeVolume = (chunk: Chunk): Uint8Array => decodeBlock(chunk.payload, chunk.alphabet);
+
+/**
+ * Rebuilds the transmitted bytes from the volumes of one transfer,
+ * recovering lost data volumes from parity volumes where needed.
+ * `decoded` holds blocks already decoded with decodeVolume, keyed by index.
+ */
+export const assembleTransfer = (
+  volumes: Map<number, Chunk>,
+  decoded: Map<number, Uint8Array> = new Map(),
+  onProgress?: (fraction: number) => void
+): Uint8Array => {
+  const first = volumes.values().next().value;
+  if (!first) throw new Error("No volumes received.");
+  const { total, parity, alphabet } = first;
+  if (volumes.size < total) throw new Error(`Missing volumes: ${volumes.size}/${total} received.`);
+
+  if (first.version === 1) {
+    // v1 volumes are slices of one continuous Base32768 stream
+    const sortedIndices = Array.from(volumes.keys()).sort((a, b) => a - b);
+    return decodeBase32768(sortedIndices.map(i => volumes.get(i)!.payload).join(''));
+  }
+
+  const shards: (Uint8Array | null)[] = [];
+  for (let i = 0; i < total + parity; i++) {
+    const chunk = volumes.get(i);
+    shards.push(chunk ? decoded.get(i) ?? decodeBlock(chunk.payload, alphabet) : null);
+    onProgress?.((i + 1) / (total + parity));
   }
 
-  return foundChunks;
+  const dataShards = shards.slice(0, total);
+  if (dataShards.every(s => s !== null)) return concatBytes(dataShards as Uint8Array[]);
+
+  // Parity shards are framed, so their length gives the common shard size
+  const paritySample = shards.slice(total).find(s => s !== null)!;
+  const shardSize = paritySample.length - FRAME_HEADER;
+  const framed = shards.map((s, i) => (s && i < total) ? frameShard(s, shardSize) : s);
+  return concatBytes(recoverShards(framed, total).map(unframeShard));
+};
+
+/**
+ * Data volume indices still missing from a transfer. Asking for these is always enough,
+ * whichever parity volumes arrived. Legacy v1 transfers have no ID to ask for.
+ */
+export const missingVolumes = (volumes: Map<number, Chunk>): number[] => {
+  const first = volumes.values().next().value;
+  if (!first || first.version === 1 || volumes.size >= first.total) return [];
+  const missing: number[] = [];
+  for (let i = 0; i < first.total; i++) if (!volumes.has(i)) missing.push(i);
+  return missing;
+};
+
+// 0,1,2,3,7 -> "0-3,7"
+const formatRanges = (indices: number[]): string => {
+  const sorted = Array.from(new Set(indices)).sort((a, b) => a - b);
+  const ranges: string[] = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (i + 1 < sorted.length && sorted[i + 1] === sorted[i] + 1) i++;
+    ranges.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+  return ranges.join(',');
+};
+
+const parseRanges = (text: string): number[] => {
+  const indices: number[] = [];
+  for (const part of text.split(',')) {
+    const [start, end] = part.split('-').map(n => parseInt(n));
+    if (isNaN(start)) continue;
+    const last = isNaN(end) ? start : end;
+    for (let i = start; i <= last && i < MAX_SHARDS; i++) indices.push(i);
+  }
+  return indices;
+};
+
+/**
+ * Compact control message asking the sender for specific volumes again.
+ */
+export const createResendRequest = (transferId: string, indices: number[]): string => {
+  const body = `${transferId}:${formatRanges(indices)}`;
+  return `${PROTOCOL_V2}:${RESEND_MARKER}:${body}:${calculateChecksum(body)}`;
+};
+
+/**
+ * Finds resend requests in pasted text; mangled ones (checksum mismatch) are skipped.
+ */
+export const extractResendRequests = (text: string): ResendRequest[] => {
+  const requests: ResendRequest[] = [];
+  for (const match of text.matchAll(RESEND_PATTERN)) {
+    const body = `${match[1]}:${match[2]}`;
+    if (calculateChecksum(body) !== match[3]) {
+      console.warn(`Checksum mismatch for resend request ${match[1]}`);
+      continue;
+    }
+    requests.push({ transferId: match[1].toUpperCase(), indices: parseRanges(match[2]) });
+  }
+  return requests;
 };
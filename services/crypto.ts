@@ -0,0 +1,65 @@
+
+/**
+ * GhostComm Passphrase Seal
+ * AES-256-GCM over the compressed stream, keyed with PBKDF2-SHA256.
+ * Sealed layout: MAGIC (4) | SALT (16) | IV (12) | CIPHERTEXT + GCM TAG
+ * Deflate streams never start with the magic, so sealed and plain payloads
+ * can be told apart without an extra header field.
+ */
+
+const MAGIC = new Uint8Array([0x47, 0x43, 0x58, 0x31]); // "GCX1"
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const PBKDF2_ITERATIONS = 250000;
+const TAG_LENGTH = 16; // AES-GCM default
+
+// Bytes sealBytes adds to the stream
+export const SEAL_OVERHEAD = MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+export const AUTH_ERROR = "Authentication Failed: wrong passphrase or tampered data.";
+
+const deriveKey = async (passphrase: string, salt: Uint8Array): Promise<CryptoKey> => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const isSealed = (data: Uint8Array): boolean => {
+  if (data.length < MAGIC.length + SALT_LENGTH + IV_LENGTH) return false;
+  return MAGIC.every((b, i) => data[i] === b);
+};
+
+export const sealBytes = async (data: Uint8Array, passphrase: string): Promise<Uint8Array> => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await deriveKey(passphrase, salt);
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data));
+
+  const out = new Uint8Array(MAGIC.length + SALT_LENGTH + IV_LENGTH + cipher.length);
+  out.set(MAGIC);
+  out.set(salt, MAGIC.length);
+  out.set(iv, MAGIC.length + SALT_LENGTH);
+  out.set(cipher, MAGIC.length + SALT_LENGTH + IV_LENGTH);
+  return out;
+};
+
+export const unsealBytes = async (data: Uint8Array, passphrase: string): Promise<Uint8Array> => {
+  if (!isSealed(data)) throw new Error("Payload is not sealed.");
+  const salt = data.slice(MAGIC.length, MAGIC.length + SALT_LENGTH);
+  const iv = data.slice(MAGIC.length + SALT_LENGTH, MAGIC.length + SALT_LENGTH + IV_LENGTH);
+  const cipher = data.slice(MAGIC.length + SALT_LENGTH + IV_LENGTH);
+  const key = await deriveKey(passphrase, salt);
+  try {
+    // GCM verifies the tag before releasing any plaintext
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, cipher));
+  } catch (e) {
+    throw new Error(AUTH_ERROR);
+  }
+};
@@ -9,78 +9,110 @@
 const START_CHAR = 0x4E00;
 const ALPHABET_SIZE = 32768;
 
+// String.fromCharCode takes its arguments on the stack; stay well below engine limits
+const CHAR_BATCH = 8192;
+
+/**
+ * Builds a string from UTF-16 code units without repeated concatenation.
+ */
+export const codesToString = (codes: Uint16Array | Uint8Array): string => {
+  const parts: string[] = [];
+  for (let i = 0; i < codes.length; i += CHAR_BATCH) {
+    parts.push(String.fromCharCode.apply(null, Array.from(codes.subarray(i, i + CHAR_BATCH))));
+  }
+  return parts.join('');
+};
+
 export const encodeBase32768 = (data: Uint8Array): string => {
-  let encoded = "";
+  // Prepend length (4 bytes) to the data stream
+  const totalBits = (data.length + 4) * 8;
+  const codes = new Uint16Array(Math.ceil(totalBits / 15));
+  let written = 0;
   let buffer = 0;
   let bitsInBuffer = 0;
 
-  // Prepend length (4 bytes) to the data stream
-  const lengthHeader = new Uint8Array(4);
-  const view = new DataView(lengthHeader.buffer);
-  view.setUint32(0, data.length);
-
-  const combined = new Uint8Array(lengthHeader.length + data.length);
-  combined.set(lengthHeader);
-  combined.set(data, 4);
-
-  for (let i = 0; i < combined.length; i++) {
-    buffer = (buffer << 8) | combined[i];
+  const push = (byte: number) => {
+    buffer = (buffer << 8) | byte;
     bitsInBuffer += 8;
-
-    while (bitsInBuffer >= 15) {
+    if (bitsInBuffer >= 15) {
       bitsInBuffer -= 15;
-      const index = (buffer >> bitsInBuffer) & 0x7FFF;
-      encoded += String.fromCharCode(START_CHAR + index);
+      codes[written++] = START_CHAR + ((buffer >> bitsInBuffer) & 0x7FFF);
     }
-  }
+  };
+
+  const length = data.length;
+  push((length >>> 24) & 0xFF);
+  push((length >>> 16) & 0xFF);
+  push((length >>> 8) & 0xFF);
+  push(length & 0xFF);
+  for (let i = 0; i < data.length; i++) push(data[i]);
 
   if (bitsInBuffer > 0) {
-    const index = (buffer << (15 - bitsInBuffer)) & 0x7FFF;
-    encoded += String.fromCharCode(START_CHAR + index);
+    codes[written++] = START_CHAR + ((buffer << (15 - bitsInBuffer)) & 0x7FFF);
   }
 
-  return encoded;
+  return codesToString(codes.subarray(0, written));
 };
 
 export const decodeBase32768 = (str: string): Uint8Array => {
-  const indices: number[] = [];
-  for (let i = 0; i < str.length; i++) {
-    const code = str.charCodeAt(i);
-    if (code >= START_CHAR && code < START_CHAR + ALPHABET_SIZE) {
-      indices.push(code - START_CHAR);
-    }
-  }
-
-  const out = [];
+  // Every character carries 15 bits; foreign characters are skipped, so this is an upper bound
+  const out = new Uint8Array(Math.floor(str.length * 15 / 8));
+  let written = 0;
   let buffer = 0;
   let bitsInBuffer = 0;
 
-  for (const index of indices) {
-    buffer = (buffer << 15) | index;
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code < START_CHAR || code >= START_CHAR + ALPHABET_SIZE) continue;
+    buffer = (buffer << 15) | (code - START_CHAR);
     bitsInBuffer += 15;
 
     while (bitsInBuffer >= 8) {
       bitsInBuffer -= 8;
-      out.push((buffer >> bitsInBuffer) & 0xFF);
+      out[written++] = (buffer >> bitsInBuffer) & 0xFF;
     }
   }
 
-  const fullData = new Uint8Array(out);
-  if (fullData.length < 4) return new Uint8Array(0);
+  if (written < 4) return new Uint8Array(0);
 
   // Extract original length from header
-  const view = new DataView(fullData.buffer);
-  const originalLength = view.getUint32(0);
-  
+  const originalLength = new DataView(out.buffer).getUint32(0);
+
   // Return exactly the original bytes, excluding bit-padding at the end
-  return fullData.slice(4, 4 + originalLength);
+  return out.slice(4, Math.min(written, 4 + originalLength));
 };
 
 // Aliases for compatibility
 export const encodeBase60000 = encodeBase32768;
 export const decodeBase60000 = decodeBase32768;
 
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (data: Uint8Array): number => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Per-volume check: CRC32 over the UTF-8 payload, as 8 uppercase hex digits.
+ */
 export const calculateChecksum = (data: string): string => {
+  return crc32(new TextEncoder().encode(data)).toString(16).toUpperCase().padStart(8, '0');
+};
+
+/**
+ * v1 volumes carry a 4-char Java-style string hash. Only used to accept old volumes.
+ */
+export const calculateLegacyChecksum = (data: string): string => {
   let hash = 0;
   for (let i = 0; i < data.length; i++) {
     hash = ((hash << 5) - hash) + data.charCodeAt(i);
@@ -88,3 +120,11 @@ export const calculateChecksum = (data: string): string => {
   }
   return Math.abs(hash).toString(36).substring(0, 4).toUpperCase();
 };
+
+/**
+ * Whole-transfer digest: SHA-256 of the reassembled payload, as lowercase hex.
+ */
+export const calculateDigest = async (data: Uint8Array): Promise<string> => {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  return Array.from(hash, b => b.toString(16).padStart(2, '0')).join('');
+};
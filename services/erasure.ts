@@ -0,0 +1,138 @@
+
+/**
+ * GhostComm Erasure Coding
+ * Systematic Reed-Solomon over GF(256) with a Cauchy parity matrix.
+ * Any `dataCount` of the `dataCount + parity` shards rebuild the data shards,
+ * because every square submatrix of [I; Cauchy] is invertible.
+ * All shards must have the same length.
+ */
+
+const FIELD_SIZE = 256;
+const PRIMITIVE_POLY = 0x11D;
+
+const EXP = new Uint8Array(FIELD_SIZE * 2);
+const LOG = new Uint8Array(FIELD_SIZE);
+
+(() => {
+  let x = 1;
+  for (let i = 0; i < FIELD_SIZE - 1; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & FIELD_SIZE) x ^= PRIMITIVE_POLY;
+  }
+  // Doubled table lets mul() skip the modulo
+  for (let i = FIELD_SIZE - 1; i < EXP.length; i++) EXP[i] = EXP[i - (FIELD_SIZE - 1)];
+})();
+
+const mul = (a: number, b: number): number => (a === 0 || b === 0) ? 0 : EXP[LOG[a] + LOG[b]];
+
+const inv = (a: number): number => {
+  if (a === 0) throw new Error("GF(256): zero has no inverse.");
+  return EXP[(FIELD_SIZE - 1) - LOG[a]];
+};
+
+export const MAX_SHARDS = FIELD_SIZE;
+
+// Parity row i, data column j: 1 / (x_i + y_j) with x_i = dataCount + i, y_j = j
+const cauchyRow = (parityIndex: number, dataCount: number): Uint8Array => {
+  const row = new Uint8Array(dataCount);
+  for (let j = 0; j < dataCount; j++) row[j] = inv((dataCount + parityIndex) ^ j);
+  return row;
+};
+
+// out ^= coefficient * shard
+const mulAccumulate = (out: Uint8Array, shard: Uint8Array, coefficient: number) => {
+  if (coefficient === 0) return;
+  const logC = LOG[coefficient];
+  for (let k = 0; k < shard.length; k++) {
+    const v = shard[k];
+    if (v !== 0) out[k] ^= EXP[logC + LOG[v]];
+  }
+};
+
+export const encodeParity = (shards: Uint8Array[], parity: number): Uint8Array[] => {
+  const dataCount = shards.length;
+  if (dataCount + parity > MAX_SHARDS) throw new Error(`Erasure coding supports at most ${MAX_SHARDS} volumes.`);
+  const shardSize = shards[0]?.length ?? 0;
+
+  const out: Uint8Array[] = [];
+  for (let p = 0; p < parity; p++) {
+    const row = cauchyRow(p, dataCount);
+    const acc = new Uint8Array(shardSize);
+    for (let j = 0; j < dataCount; j++) mulAccumulate(acc, shards[j], row[j]);
+    out.push(acc);
+  }
+  return out;
+};
+
+const invertMatrix = (matrix: Uint8Array[]): Uint8Array[] => {
+  const n = matrix.length;
+  const a = matrix.map(r => Uint8Array.from(r));
+  const result = a.map((_, i) => {
+    const r = new Uint8Array(n);
+    r[i] = 1;
+    return r;
+  });
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    while (pivot < n && a[pivot][col] === 0) pivot++;
+    if (pivot === n) throw new Error("Erasure matrix is singular.");
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    [result[col], result[pivot]] = [result[pivot], result[col]];
+
+    const scale = inv(a[col][col]);
+    for (let k = 0; k < n; k++) {
+      a[col][k] = mul(a[col][k], scale);
+      result[col][k] = mul(result[col][k], scale);
+    }
+
+    for (let r = 0; r < n; r++) {
+      const factor = a[r][col];
+      if (r === col || factor === 0) continue;
+      for (let k = 0; k < n; k++) {
+        a[r][k] ^= mul(factor, a[col][k]);
+        result[r][k] ^= mul(factor, result[col][k]);
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Rebuilds the data shards from any `dataCount` shards.
+ * `shards` is indexed by volume index (data first, then parity); missing entries are null.
+ */
+export const recoverShards = (shards: (Uint8Array | null)[], dataCount: number): Uint8Array[] => {
+  const missing: number[] = [];
+  for (let i = 0; i < dataCount; i++) if (!shards[i]) missing.push(i);
+  if (missing.length === 0) return shards.slice(0, dataCount) as Uint8Array[];
+
+  const available = shards
+    .map((s, i) => ({ s, i }))
+    .filter((e): e is { s: Uint8Array; i: number } => e.s !== null && e.s !== undefined)
+    .slice(0, dataCount);
+  if (available.length < dataCount) {
+    throw new Error(`Need ${dataCount} volumes to recover, have ${available.length}.`);
+  }
+
+  const rows = available.map(({ i }) => {
+    if (i < dataCount) {
+      const unit = new Uint8Array(dataCount);
+      unit[i] = 1;
+      return unit;
+    }
+    return cauchyRow(i - dataCount, dataCount);
+  });
+  const decodeMatrix = invertMatrix(rows);
+  const shardSize = available[0].s.length;
+
+  const out = shards.slice(0, dataCount) as (Uint8Array | null)[];
+  for (const m of missing) {
+    const acc = new Uint8Array(shardSize);
+    for (let j = 0; j < dataCount; j++) mulAccumulate(acc, available[j].s, decodeMatrix[m][j]);
+    out[m] = acc;
+  }
+  return out as Uint8Array[];
+};
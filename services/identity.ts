@@ -0,0 +1,239 @@
+
+import { Contact, Identity, SignerInfo, TransferSignature } from '../types';
+import { calculateChecksum } from './encoding';
+
+/**
+ * GhostComm Identity
+ * Who produced a transfer. Each device holds an ECDSA P-256 key to sign with and an ECDH
+ * P-256 key others can encrypt to (WebCrypto binds a key to one algorithm, so it takes two).
+ * P-256 rather than Ed25519 because every WebCrypto implementation has it.
+ *   Contact card:  GC2:KC:NAME:SIGNKEY:DHKEY:CRC     name UTF-8, keys raw, all base64url
+ *   Signature:     GC2:SG:ID:SIGNKEY:SIGNATURE:CRC   ECDSA-SHA256 over "ID:SHA256" of the transfer
+ *   Sealed to key: MAGIC (4) | EPHEMERAL DH KEY (65) | IV (12) | CIPHERTEXT + GCM TAG
+ * CRCs cover the fields between marker and CRC, like resend requests; they only catch
+ * messenger damage, the keys and signature do the rest.
+ */
+
+const PROTOCOL_V2 = "GC2";
+const CARD_MARKER = "KC";
+const SIGNATURE_MARKER = "SG";
+const CARD_PATTERN = /GC2:KC:([A-Za-z0-9_-]*):([A-Za-z0-9_-]{87}):([A-Za-z0-9_-]{87}):([0-9A-F]{8})/g;
+const SIGNATURE_PATTERN = /GC2:SG:([0-9A-Za-z]+):([A-Za-z0-9_-]{87}):([A-Za-z0-9_-]{86}):([0-9A-F]{8})/g;
+
+const MAGIC = new Uint8Array([0x47, 0x43, 0x45, 0x31]); // "GCE1"
+const PUBLIC_KEY_LENGTH = 65; // Uncompressed P-256 point
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16; // AES-GCM default
+const HKDF_INFO = new TextEncoder().encode("GhostComm GCE1");
+const FINGERPRINT_BYTES = 8;
+const MAX_NAME_LENGTH = 64;
+
+const SIGNING = { name: 'ECDSA', namedCurve: 'P-256' };
+const AGREEMENT = { name: 'ECDH', namedCurve: 'P-256' };
+
+export const KEY_SEALED_ERROR = "Payload is encrypted to another identity.";
+
+// Bytes sealToKey adds to the stream
+export const KEY_SEAL_OVERHEAD = MAGIC.length + PUBLIC_KEY_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+// Signing half of an identity; CryptoKeys survive postMessage, so this can go to the worker
+export interface TransferSigner {
+  privateKey: CryptoKey;
+  signingKey: string;
+}
+
+const toBase64Url = (bytes: Uint8Array): string => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text: string): Uint8Array => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const exportPublic = async (key: CryptoKey): Promise<string> =>
+  toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+
+/**
+ * Fresh keypairs for this device. Private keys are not extractable, so they can be
+ * stored (IndexedDB keeps CryptoKeys as-is) and used, but never read back out.
+ */
+export const createIdentity = async (name: string): Promise<Identity> => {
+  const signing = await crypto.subtle.generateKey(SIGNING, false, ['sign', 'verify']);
+  const agreement = await crypto.subtle.generateKey(AGREEMENT, false, ['deriveBits']);
+  return {
+    name: name.trim().substring(0, MAX_NAME_LENGTH),
+    signing,
+    agreement,
+    signingKey: await exportPublic(signing.publicKey),
+    agreementKey: await exportPublic(agreement.publicKey),
+    createdAt: Date.now()
+  };
+};
+
+/**
+ * Short hash of a signing key, e.g. "1A2B 3C4D 5E6F 7A8B", for comparing over a call.
+ */
+export const keyFingerprint = async (signingKey: string): Promise<string> => {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', fromBase64Url(signingKey)));
+  const hex = Array.from(hash.subarray(0, FINGERPRINT_BYTES), b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return hex.match(/.{4}/g)!.join(' ');
+};
+
+export const createContactCard = (identity: Identity): string => {
+  const body = `${toBase64Url(new TextEncoder().encode(identity.name))}:${identity.signingKey}:${identity.agreementKey}`;
+  return `${PROTOCOL_V2}:${CARD_MARKER}:${body}:${calculateChecksum(body)}`;
+};
+
+// WebCrypto rejects points that are not on the curve
+const isValidKey = async (key: string, algorithm: EcKeyImportParams, usages: KeyUsage[]): Promise<boolean> => {
+  try {
+    await crypto.subtle.importKey('raw', fromBase64Url(key), algorithm, false, usages);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Contacts from pasted cards; damaged cards and invalid keys are skipped.
+ */
+export const readContactCards = async (text: string): Promise<Contact[]> => {
+  const contacts: Contact[] = [];
+  for (const match of text.matchAll(CARD_PATTERN)) {
+    const body = `${match[1]}:${match[2]}:${match[3]}`;
+    if (calculateChecksum(body) !== match[4]) {
+      console.warn("Checksum mismatch for contact card");
+      continue;
+    }
+    if (!await isValidKey(match[2], SIGNING, ['verify']) || !await isValidKey(match[3], AGREEMENT, [])) continue;
+    let name: string;
+    try {
+      name = new TextDecoder('utf-8', { fatal: true }).decode(fromBase64Url(match[1])).substring(0, MAX_NAME_LENGTH);
+    } catch (e) {
+      continue;
+    }
+    contacts.push({ name, signingKey: match[2], agreementKey: match[3], fingerprint: await keyFingerprint(match[2]), addedAt: Date.now() });
+  }
+  return contacts;
+};
+
+const signedBytes = (transferId: string, digest: string): Uint8Array =>
+  new TextEncoder().encode(`${transferId.toUpperCase()}:${digest}`);
+
+/**
+ * Signature control message for a transfer; `digest` is the SHA-256 its volumes announce.
+ */
+export const signTransfer = async (transferId: string, digest: string, signer: TransferSigner): Promise<string> => {
+  const signature = new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, signer.privateKey, signedBytes(transferId, digest)));
+  const body = `${transferId}:${signer.signingKey}:${toBase64Url(signature)}`;
+  return `${PROTOCOL_V2}:${SIGNATURE_MARKER}:${body}:${calculateChecksum(body)}`;
+};
+
+/**
+ * Finds signature messages in pasted text; mangled ones (checksum mismatch) are skipped.
+ */
+export const extractTransferSignatures = (text: string): TransferSignature[] => {
+  const signatures: TransferSignature[] = [];
+  for (const match of text.matchAll(SIGNATURE_PATTERN)) {
+    const body = `${match[1]}:${match[2]}:${match[3]}`;
+    if (calculateChecksum(body) !== match[4]) {
+      console.warn(`Checksum mismatch for signature of ${match[1]}`);
+      continue;
+    }
+    signatures.push({ transferId: match[1].toUpperCase(), signingKey: match[2], signature: match[3] });
+  }
+  return signatures;
+};
+
+export const verifyTransferSignature = async (signature: TransferSignature, digest: string): Promise<boolean> => {
+  try {
+    const key = await crypto.subtle.importKey('raw', fromBase64Url(signature.signingKey), SIGNING, false, ['verify']);
+    return await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, fromBase64Url(signature.signature), signedBytes(signature.transferId, digest));
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Who signed a transfer, or null if nobody did. Anyone can add a signature message to a
+ * thread, so a valid signature from a known key wins over the rest.
+ */
+export const identifySigner = async (
+  signatures: TransferSignature[],
+  digest: string,
+  identity: Identity | null,
+  contacts: Contact[]
+): Promise<SignerInfo | null> => {
+  let unknown: TransferSignature | null = null;
+  let invalid: TransferSignature | null = null;
+  for (const signature of signatures) {
+    if (!await verifyTransferSignature(signature, digest)) {
+      invalid = invalid ?? signature;
+      continue;
+    }
+    if (identity && signature.signingKey === identity.signingKey) {
+      return { status: 'self', name: identity.name, fingerprint: await keyFingerprint(signature.signingKey) };
+    }
+    const contact = contacts.find(c => c.signingKey === signature.signingKey);
+    if (contact) return { status: 'contact', name: contact.name, fingerprint: contact.fingerprint };
+    unknown = unknown ?? signature;
+  }
+  const reported = unknown ?? invalid;
+  if (!reported) return null;
+  return { status: unknown ? 'unknown' : 'invalid', fingerprint: await keyFingerprint(reported.signingKey) };
+};
+
+// ECDH secret through HKDF, salted with the ephemeral key so every transfer gets its own AES key
+const deriveSealKey = async (privateKey: CryptoKey, publicKey: CryptoKey, ephemeral: Uint8Array, usage: KeyUsage): Promise<CryptoKey> => {
+  const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+  const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: ephemeral, info: HKDF_INFO },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+};
+
+export const isSealedToKey = (data: Uint8Array): boolean => {
+  if (data.length < MAGIC.length + PUBLIC_KEY_LENGTH + IV_LENGTH) return false;
+  return MAGIC.every((b, i) => data[i] === b);
+};
+
+/**
+ * Encrypts to a contact's agreement key; only the holder of the matching identity can open it.
+ */
+export const sealToKey = async (data: Uint8Array, agreementKey: string): Promise<Uint8Array> => {
+  const recipient = await crypto.subtle.importKey('raw', fromBase64Url(agreementKey), AGREEMENT, false, []);
+  const ephemeral = await crypto.subtle.generateKey(AGREEMENT, true, ['deriveBits']);
+  const ephemeralRaw = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  const key = await deriveSealKey(ephemeral.privateKey, recipient, ephemeralRaw, 'encrypt');
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const cipher = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data));
+
+  const out = new Uint8Array(MAGIC.length + PUBLIC_KEY_LENGTH + IV_LENGTH + cipher.length);
+  out.set(MAGIC);
+  out.set(ephemeralRaw, MAGIC.length);
+  out.set(iv, MAGIC.length + PUBLIC_KEY_LENGTH);
+  out.set(cipher, MAGIC.length + PUBLIC_KEY_LENGTH + IV_LENGTH);
+  return out;
+};
+
+export const unsealWithKey = async (data: Uint8Array, privateKey: CryptoKey): Promise<Uint8Array> => {
+  if (!isSealedToKey(data)) throw new Error("Payload is not encrypted to a key.");
+  const ephemeralRaw = data.slice(MAGIC.length, MAGIC.length + PUBLIC_KEY_LENGTH);
+  const iv = data.slice(MAGIC.length + PUBLIC_KEY_LENGTH, MAGIC.length + PUBLIC_KEY_LENGTH + IV_LENGTH);
+  const cipher = data.slice(MAGIC.length + PUBLIC_KEY_LENGTH + IV_LENGTH);
+  try {
+    const ephemeral = await crypto.subtle.importKey('raw', ephemeralRaw, AGREEMENT, false, []);
+    const key = await deriveSealKey(privateKey, ephemeral, ephemeralRaw, 'decrypt');
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, cipher));
+  } catch (e) {
+    // Wrong identity and tampering look the same to GCM
+    throw new Error(KEY_SEALED_ERROR);
+  }
+};
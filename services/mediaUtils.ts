@@ -1,146 +1,571 @@
 
-import { MediaType } from '../types';
+import { MediaType, MediaOptions, ProcessedMedia, VideoPreset, VIDEO_PRESETS } from '../types';
+import { muxWebm, opusHead, WebmAudioTrack, WebmFrame } from './webm';
+
+export const CANCELLED = "Transcode Cancelled";
+
+export const detectMediaType = (file: File): MediaType => {
+  if (file.type.startsWith('image/')) return MediaType.IMAGE;
+  if (file.type.startsWith('audio/')) return MediaType.AUDIO;
+  if (file.type.startsWith('video/')) return MediaType.VIDEO;
+  return MediaType.FILE;
+};
+
+const DEFAULT_IMAGE_BUDGET = 40 * 1024; // Roughly 22k CJK characters
+const DEFAULT_MAX_EDGE = 1280;
+const MIN_EDGE = 160;
+const EDGE_STEP = 0.8;
+const QUALITY_FLOOR = 0.35; // Below this, shrinking looks better than more artifacts
+const QUALITY_MIN = 0.05;
+const QUALITY_MAX = 0.92;
+const SEARCH_STEPS = 6;
+const MAX_SCAN_EDGE = 1600; // Frames are scaled down to this before QR scanning
+
+const DEFAULT_VOICE_BITRATE = 12000;
+const VOICE_SAMPLE_RATE = 48000; // Opus runs at 48 kHz internally, anything else gets resampled anyway
+const WEBM_OVERHEAD = 1024; // EBML header, track info and cluster framing
+const OPUS_FRAME_OVERHEAD = 0.05;
+
+const DEFAULT_VIDEO_PRESET = VIDEO_PRESETS[1];
+const VIDEO_AUDIO_BITRATE = 16000; // Downmixed soundtrack, voice quality
+const KEYFRAME_INTERVAL = 5; // Seconds
+const ENCODE_QUEUE_LIMIT = 8;
+const AUDIO_BLOCK = 4800; // 100 ms at 48 kHz
+const VIDEO_SHARE = 0.9; // Progress spent on video frames, the rest on the soundtrack
+const SEEK_PROBE_SECONDS = 2; // Clip time grabbed by seeking before its speed is judged
+const SEEK_TIMEOUT_MS = 10000; // A seek still pending after this is taken to have stalled
 
 /**
- * Ultra-Aggressive Compression to fit in Single Volume
- * This ensures the binary size is small enough that the encoded text 
- * fits in one single Messenger message.
+ * Transcodes the file for transmission. Images are squeezed into
+ * `imageTargetBytes` so the caller controls how many volumes they need.
  */
-export const processMedia = async (file: File, type: MediaType): Promise<Uint8Array> => {
+export const processMedia = async (file: File, type: MediaType, options: MediaOptions = {}): Promise<ProcessedMedia> => {
   if (type === MediaType.IMAGE) {
-    // Target binary size < 40KB (roughly 22k CJK characters)
-    let quality = 0.25; 
-    let width = 720;
-
-    if (file.size > 2 * 1024 * 1024) { 
-      quality = 0.15;
-      width = 500;
-    }
-    
-    return processImage(file, width, quality);
+    return processImage(file, options.imageTargetBytes ?? DEFAULT_IMAGE_BUDGET, options.imageMaxEdge ?? DEFAULT_MAX_EDGE);
   }
 
   if (type === MediaType.VIDEO) {
-    return compressVideo(file);
+    return transcodeVideo(file, options.videoPreset ?? DEFAULT_VIDEO_PRESET, options);
   }
-  
+
+  if (type === MediaType.AUDIO) {
+    return transcodeVoice(file, options.audioBitrate ?? DEFAULT_VOICE_BITRATE, options);
+  }
+
+  // FILE travels as the original bytes
   const buffer = await file.arrayBuffer();
-  return new Uint8Array(buffer);
+  return { bytes: new Uint8Array(buffer) };
 };
 
-export const processImage = async (file: File, maxWidth: number, quality: number): Promise<Uint8Array> => {
+const loadImage = (file: File): Promise<HTMLImageElement> => {
   return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
     const img = new Image();
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      const scale = Math.min(maxWidth / img.width, 1);
-      canvas.width = img.width * scale;
-      canvas.height = img.height * scale;
-      const ctx = canvas.getContext('2d');
-      if (!ctx) return reject('Canvas error');
-      
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      
-      canvas.toBlob(async b => {
-        if (!b) return reject('Blob error');
-        resolve(new Uint8Array(await b.arrayBuffer()));
-      }, 'image/webp', quality);
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject('Image load error'); };
+    img.src = url;
+  });
+};
+
+const renderWebp = (canvas: HTMLCanvasElement, quality: number): Promise<Uint8Array> => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(async b => {
+      if (!b) return reject('Blob error');
+      resolve(new Uint8Array(await b.arrayBuffer()));
+    }, 'image/webp', quality);
+  });
+};
+
+// Highest quality in [low, high] whose output fits, or null if even `low` is too big
+const searchQuality = async (canvas: HTMLCanvasElement, targetBytes: number, low: number, high: number) => {
+  let best: { bytes: Uint8Array; quality: number } | null = null;
+  const floor = await renderWebp(canvas, low);
+  if (floor.length > targetBytes) return null;
+  best = { bytes: floor, quality: low };
+
+  for (let i = 0; i < SEARCH_STEPS; i++) {
+    const mid = (low + high) / 2;
+    const bytes = await renderWebp(canvas, mid);
+    if (bytes.length <= targetBytes) {
+      best = { bytes, quality: mid };
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return best;
+};
+
+/**
+ * Binary-searches WebP quality, stepping the dimensions down whenever
+ * the budget cannot be met at an acceptable quality.
+ */
+export const processImage = async (file: File, targetBytes: number, maxEdge: number): Promise<ProcessedMedia> => {
+  const img = await loadImage(file);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas error');
+
+  const draw = (edge: number) => {
+    const scale = Math.min(edge / Math.max(img.width, img.height), 1);
+    canvas.width = Math.max(1, Math.round(img.width * scale));
+    canvas.height = Math.max(1, Math.round(img.height * scale));
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  };
+
+  let edge = Math.min(maxEdge, Math.max(img.width, img.height));
+  while (true) {
+    draw(edge);
+    const fit = await searchQuality(canvas, targetBytes, QUALITY_FLOOR, QUALITY_MAX);
+    if (fit) return { bytes: fit.bytes, width: canvas.width, height: canvas.height, quality: fit.quality };
+    if (edge * EDGE_STEP < MIN_EDGE) break;
+    edge = Math.floor(edge * EDGE_STEP);
+  }
+
+  // Smallest size still too big at a sane quality: give up quality instead
+  const fit = await searchQuality(canvas, targetBytes, QUALITY_MIN, QUALITY_FLOOR);
+  const quality = fit ? fit.quality : QUALITY_MIN;
+  const bytes = fit ? fit.bytes : await renderWebp(canvas, QUALITY_MIN);
+  return { bytes, width: canvas.width, height: canvas.height, quality };
+};
+
+const throwIfCancelled = (signal?: AbortSignal) => {
+  if (signal?.aborted) throw new Error(CANCELLED);
+};
+
+// Clamps the requested clip to the media, in seconds
+const clipRange = (duration: number, trimStart = 0, trimEnd?: number): [number, number] => {
+  const start = Math.min(Math.max(0, trimStart), duration);
+  const end = Math.min(trimEnd ?? duration, duration);
+  if (end - start <= 0) throw new Error('Empty clip selection');
+  return [start, end];
+};
+
+const decodeAudio = async (file: File): Promise<AudioBuffer> => {
+  const ctx = new AudioContext();
+  try {
+    return await ctx.decodeAudioData(await file.arrayBuffer());
+  } catch (e) {
+    throw new Error('Audio decode error');
+  } finally {
+    ctx.close();
+  }
+};
+
+/**
+ * Duration of an audio file in seconds, for the trim controls.
+ */
+export const probeAudioDuration = async (file: File): Promise<number> => (await decodeAudio(file)).duration;
+
+/**
+ * Expected size of a voice note, so the volume count can be shown before transcoding.
+ */
+export const estimateVoiceBytes = (bitsPerSecond: number, seconds: number): number =>
+  Math.ceil(bitsPerSecond / 8 * Math.max(0, seconds) * (1 + OPUS_FRAME_OVERHEAD)) + WEBM_OVERHEAD;
+
+// Trims and downmixes to mono offline, so the recorder only has to encode
+const renderVoice = async (source: AudioBuffer, start: number, end: number): Promise<AudioBuffer> => {
+  const frames = Math.max(1, Math.ceil((end - start) * VOICE_SAMPLE_RATE));
+  const offline = new OfflineAudioContext(1, frames, VOICE_SAMPLE_RATE);
+  const node = offline.createBufferSource();
+  node.buffer = source;
+  node.connect(offline.destination);
+  node.start(0, start, end - start);
+  return offline.startRendering();
+};
+
+/**
+ * Re-encodes recordings and uploads as mono Opus/WebM at a voice bitrate.
+ * MediaRecorder only encodes live streams, so this takes as long as the trimmed clip.
+ */
+export const transcodeVoice = async (file: File, bitsPerSecond: number, { trimStart, trimEnd, onProgress, signal }: MediaOptions = {}): Promise<ProcessedMedia> => {
+  const decoded = await decodeAudio(file);
+  const [start, end] = clipRange(decoded.duration, trimStart, trimEnd);
+  const rendered = await renderVoice(decoded, start, end);
+  throwIfCancelled(signal);
+
+  const mimeType = MediaRecorder.isTypeSupported('audio/webm;codecs=opus') ? 'audio/webm;codecs=opus' : 'audio/webm';
+  const ctx = new AudioContext({ sampleRate: VOICE_SAMPLE_RATE });
+  const destination = ctx.createMediaStreamDestination();
+  destination.channelCount = 1;
+  const player = ctx.createBufferSource();
+  player.buffer = rendered;
+  player.connect(destination);
+
+  const recorder = new MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: bitsPerSecond });
+  const chunks: Blob[] = [];
+  recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+
+  const bytes = await new Promise<Uint8Array>((resolve, reject) => {
+    recorder.onstop = async () => {
+      ctx.close();
+      const blob = new Blob(chunks, { type: 'audio/webm' });
+      resolve(new Uint8Array(await blob.arrayBuffer()));
     };
-    img.onerror = () => reject('Image load error');
-    img.src = URL.createObjectURL(file);
+    recorder.onerror = (e) => { ctx.close(); reject(new Error('Audio Encode Error', { cause: e })); };
+    player.onended = () => { if (recorder.state !== 'inactive') recorder.stop(); };
+    signal?.addEventListener('abort', () => {
+      recorder.onstop = () => ctx.close();
+      player.onended = null;
+      if (recorder.state !== 'inactive') recorder.stop();
+      reject(new Error(CANCELLED));
+    });
+    const started = ctx.currentTime;
+    const timer = window.setInterval(() => {
+      if (recorder.state === 'inactive') return window.clearInterval(timer);
+      onProgress?.(Math.min(1, (ctx.currentTime - started) / rendered.duration));
+    }, 250);
+    ctx.resume().then(() => {
+      recorder.start();
+      player.start();
+    }).catch(e => {
+      // Context never started (or the recorder refused): nothing will end the recording
+      window.clearInterval(timer);
+      ctx.close();
+      reject(new Error('Audio Encode Error', { cause: e }));
+    });
   });
+
+  return { bytes, duration: rendered.duration, bitrate: bitsPerSecond };
 };
 
-export const compressVideo = async (file: File): Promise<Uint8Array> => {
-  // Video is inherently large, we attempt a very low res version
-  return new Promise(async (resolve, reject) => {
+const loadVideo = (file: File): Promise<HTMLVideoElement> => {
+  return new Promise((resolve, reject) => {
     const video = document.createElement('video');
-    const url = URL.createObjectURL(file);
-    video.src = url;
+    video.src = URL.createObjectURL(file);
     video.muted = true;
     video.playsInline = true;
-
-    video.onloadedmetadata = () => {
-      const canvas = document.createElement('canvas');
-      const targetHeight = 320; 
-      const scale = Math.min(targetHeight / video.videoHeight, 1);
-      canvas.width = video.videoWidth * scale;
-      canvas.height = video.videoHeight * scale;
-      const ctx = canvas.getContext('2d');
-
-      const stream = canvas.captureStream(10); 
-      const mimeType = MediaRecorder.isTypeSupported('video/webm;codecs=vp9') 
-        ? 'video/webm;codecs=vp9' 
-        : 'video/webm';
-
-      const recorder = new MediaRecorder(stream, {
-        mimeType: mimeType,
-        videoBitsPerSecond: 300000 
-      });
-
-      const chunks: Blob[] = [];
-      recorder.ondataavailable = (e) => chunks.push(e.data);
-      recorder.onstop = async () => {
-        URL.revokeObjectURL(url);
-        const blob = new Blob(chunks, { type: 'video/webm' });
-        resolve(new Uint8Array(await blob.arrayBuffer()));
-      };
-
-      video.play();
-      recorder.start();
-      
-      const drawFrame = () => {
-        if (video.ended || video.paused) {
-          recorder.stop();
-          return;
-        }
-        ctx?.drawImage(video, 0, 0, canvas.width, canvas.height);
-        requestAnimationFrame(drawFrame);
-      };
-      drawFrame();
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      if (Number.isFinite(video.duration)) return resolve(video);
+      // MediaRecorder files only learn their duration once the element has scanned to the end
+      video.addEventListener('seeked', () => resolve(video), { once: true });
+      video.currentTime = Number.MAX_SAFE_INTEGER;
     };
+    video.onerror = () => { URL.revokeObjectURL(video.src); reject(new Error('Video Load Error', { cause: video.error })); };
+  });
+};
+
+const releaseVideo = (video: HTMLVideoElement) => {
+  video.pause();
+  URL.revokeObjectURL(video.src);
+  video.removeAttribute('src');
+  video.load();
+};
 
-    video.onerror = () => {
-      URL.revokeObjectURL(url);
-      reject('Video Load Error');
+/**
+ * Duration of a video file in seconds, for the clip controls.
+ */
+export const probeVideoDuration = async (file: File): Promise<number> => {
+  const video = await loadVideo(file);
+  const duration = video.duration;
+  releaseVideo(video);
+  return duration;
+};
+
+/**
+ * Expected size of a transcoded clip including its soundtrack.
+ */
+export const estimateVideoBytes = (preset: VideoPreset, seconds: number): number =>
+  Math.ceil((preset.bitsPerSecond + VIDEO_AUDIO_BITRATE) / 8 * Math.max(0, seconds)) + WEBM_OVERHEAD;
+
+// Codecs want even dimensions
+const scaledSize = (video: HTMLVideoElement, height: number) => {
+  const scale = Math.min(height / video.videoHeight, 1);
+  return {
+    width: Math.max(2, Math.round(video.videoWidth * scale / 2) * 2),
+    height: Math.max(2, Math.round(video.videoHeight * scale / 2) * 2)
+  };
+};
+
+// Resolves on `seeked`; a media error, an aborted load or a seek that stalls rejects instead
+const seekTo = (video: HTMLVideoElement, time: number): Promise<void> => {
+  if (Math.abs(video.currentTime - time) < 0.001) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = (error?: Error) => {
+      window.clearTimeout(timer);
+      video.removeEventListener('seeked', onSeeked);
+      video.removeEventListener('error', onError);
+      video.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve();
     };
+    const onSeeked = () => settle();
+    const onError = () => settle(new Error('Video Seek Error', { cause: video.error }));
+    const onAbort = () => settle(new Error('Video Seek Aborted'));
+    const timer = window.setTimeout(() => settle(new Error('Video Seek Timed Out')), SEEK_TIMEOUT_MS);
+    video.addEventListener('seeked', onSeeked);
+    video.addEventListener('error', onError);
+    video.addEventListener('abort', onAbort);
+    video.currentTime = time;
   });
 };
 
-export const compressBytes = async (data: Uint8Array): Promise<Uint8Array> => {
-  const stream = new ReadableStream({ start(c) { c.enqueue(data); c.close(); } })
-    .pipeThrough(new CompressionStream('deflate'));
-  const reader = stream.getReader();
-  const chunks = [];
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    chunks.push(value);
+const copyChunk = (chunk: EncodedVideoChunk | EncodedAudioChunk): WebmFrame => {
+  const data = new Uint8Array(chunk.byteLength);
+  chunk.copyTo(data);
+  return { data, timestamp: chunk.timestamp, key: chunk.type === 'key' };
+};
+
+// VP9 where the browser can encode it, VP8 otherwise
+const pickVideoCodec = async (width: number, height: number, preset: VideoPreset) => {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null;
+  const candidates = [{ codec: 'vp09.00.10.08', codecId: 'V_VP9' }, { codec: 'vp8', codecId: 'V_VP8' }];
+  for (const candidate of candidates) {
+    const config: VideoEncoderConfig = { codec: candidate.codec, width, height, bitrate: preset.bitsPerSecond, framerate: preset.fps };
+    try {
+      const support = await VideoEncoder.isConfigSupported(config);
+      if (support.supported) return { config, codecId: candidate.codecId };
+    } catch (e) {
+      // Malformed codec strings throw instead of reporting unsupported
+    }
   }
-  const out = new Uint8Array(chunks.reduce((a, c) => a + c.length, 0));
-  let offset = 0;
-  for (const c of chunks) { out.set(c, offset); offset += c.length; }
-  return out;
+  return null;
 };
 
-export const decompressBytes = async (data: Uint8Array): Promise<Uint8Array> => {
+// Downmixed Opus soundtrack; clips without audio (or browsers without AudioEncoder) go out silent
+const encodeSoundtrack = async (file: File, start: number, end: number, signal?: AbortSignal): Promise<WebmAudioTrack | undefined> => {
+  if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') return undefined;
+  const config: AudioEncoderConfig = { codec: 'opus', sampleRate: VOICE_SAMPLE_RATE, numberOfChannels: 1, bitrate: VIDEO_AUDIO_BITRATE };
+  let decoded: AudioBuffer;
   try {
-    const stream = new ReadableStream({ start(c) { c.enqueue(data); c.close(); } })
-      .pipeThrough(new DecompressionStream('deflate'));
-    const reader = stream.getReader();
-    const chunks = [];
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      chunks.push(value);
+    if (!(await AudioEncoder.isConfigSupported(config)).supported) return undefined;
+    decoded = await decodeAudio(file);
+  } catch (e) {
+    return undefined;
+  }
+  if (start >= decoded.duration) return undefined;
+  const rendered = await renderVoice(decoded, start, Math.min(end, decoded.duration));
+  throwIfCancelled(signal);
+
+  const frames: WebmFrame[] = [];
+  let failure: unknown = null;
+  const encoder = new AudioEncoder({ output: chunk => frames.push(copyChunk(chunk)), error: e => { failure = e; } });
+  encoder.configure(config);
+
+  const samples = rendered.getChannelData(0);
+  for (let offset = 0; offset < samples.length; offset += AUDIO_BLOCK) {
+    const block = samples.slice(offset, offset + AUDIO_BLOCK);
+    const data = new AudioData({
+      format: 'f32-planar',
+      sampleRate: VOICE_SAMPLE_RATE,
+      numberOfChannels: 1,
+      numberOfFrames: block.length,
+      timestamp: Math.round(offset / VOICE_SAMPLE_RATE * 1e6),
+      data: block
+    });
+    encoder.encode(data);
+    data.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (failure) return undefined;
+
+  return { codecId: 'A_OPUS', codecPrivate: opusHead(1, VOICE_SAMPLE_RATE), sampleRate: VOICE_SAMPLE_RATE, channels: 1, frames };
+};
+
+/**
+ * Frames are grabbed by seeking the element and encoded with WebCodecs, then muxed into WebM
+ * here. Every output frame costs a seek and a decode, so speed depends on the device: after
+ * SEEK_PROBE_SECONDS of clip the pace is measured, and if it projects slower than playing the
+ * clip through MediaRecorder, this gives up. Returns null then, and where WebCodecs is missing.
+ */
+const transcodeWithWebCodecs = async (
+  file: File,
+  video: HTMLVideoElement,
+  preset: VideoPreset,
+  start: number,
+  end: number,
+  { onProgress, signal }: MediaOptions
+): Promise<ProcessedMedia | null> => {
+  const { width, height } = scaledSize(video, preset.height);
+  const codec = await pickVideoCodec(width, height, preset);
+  if (!codec) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) throw new Error('Canvas error');
+
+  const frames: WebmFrame[] = [];
+  let failure: unknown = null;
+  const encoder = new VideoEncoder({ output: chunk => frames.push(copyChunk(chunk)), error: e => { failure = e; } });
+  encoder.configure(codec.config);
+
+  const frameCount = Math.max(1, Math.ceil((end - start) * preset.fps));
+  const frameDuration = 1e6 / preset.fps;
+  const probeFrames = SEEK_PROBE_SECONDS * preset.fps;
+  const startedAt = performance.now();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      throwIfCancelled(signal);
+      if (failure) throw failure;
+      if (i === probeFrames && frameCount > probeFrames * 2) {
+        const projectedSeconds = (performance.now() - startedAt) / 1000 * frameCount / probeFrames;
+        if (projectedSeconds > end - start) return null;
+      }
+      await seekTo(video, start + i / preset.fps);
+      ctx.drawImage(video, 0, 0, width, height);
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameDuration), duration: Math.round(frameDuration) });
+      encoder.encode(frame, { keyFrame: i % (KEYFRAME_INTERVAL * preset.fps) === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > ENCODE_QUEUE_LIMIT) {
+        await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+      }
+      onProgress?.(VIDEO_SHARE * (i + 1) / frameCount);
     }
-    const out = new Uint8Array(chunks.reduce((a, c) => a + c.length, 0));
-    let offset = 0;
-    for (const c of chunks) { out.set(c, offset); offset += c.length; }
-    return out;
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (failure) throw failure;
+
+  const audio = await encodeSoundtrack(file, start, end, signal);
+  onProgress?.(1);
+  const duration = frameCount / preset.fps;
+  const bytes = muxWebm({ codecId: codec.codecId, width, height, frames }, audio, duration);
+  return { bytes, width, height, duration, bitrate: preset.bitsPerSecond };
+};
+
+/**
+ * Fallback: plays the clip in real time through a canvas and MediaRecorder,
+ * with the soundtrack routed through a mono stream destination.
+ */
+const transcodeWithRecorder = async (
+  video: HTMLVideoElement,
+  preset: VideoPreset,
+  start: number,
+  end: number,
+  { onProgress, signal }: MediaOptions
+): Promise<ProcessedMedia> => {
+  const { width, height } = scaledSize(video, preset.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const stream = canvas.captureStream(preset.fps);
+  const audioCtx = new AudioContext();
+  try {
+    const destination = audioCtx.createMediaStreamDestination();
+    destination.channelCount = 1;
+    audioCtx.createMediaElementSource(video).connect(destination);
+    destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    video.muted = false; // Routed to the recorder only, never the speakers
   } catch (e) {
-    throw new Error("Corrupted Data");
+    // No usable soundtrack, record silent
+  }
+
+  try {
+    await seekTo(video, start);
+    await audioCtx.resume();
+  } catch (e) {
+    audioCtx.close();
+    throw new Error('Video Encode Error', { cause: e });
+  }
+
+  const mimeType = MediaRecorder.isTypeSupported('video/webm;codecs=vp9,opus')
+    ? 'video/webm;codecs=vp9,opus'
+    : 'video/webm';
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: preset.bitsPerSecond,
+    audioBitsPerSecond: VIDEO_AUDIO_BITRATE
+  });
+
+  return new Promise((resolve, reject) => {
+    let cancelled = false;
+    const chunks: Blob[] = [];
+    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+    recorder.onstop = async () => {
+      audioCtx.close();
+      if (cancelled) return reject(new Error(CANCELLED));
+      const blob = new Blob(chunks, { type: 'video/webm' });
+      resolve({ bytes: new Uint8Array(await blob.arrayBuffer()), width, height, duration: end - start, bitrate: preset.bitsPerSecond });
+    };
+    signal?.addEventListener('abort', () => {
+      cancelled = true;
+      video.pause();
+      if (recorder.state !== 'inactive') recorder.stop();
+    });
+
+    const drawFrame = () => {
+      if (recorder.state === 'inactive') return;
+      if (video.ended || video.paused || video.currentTime >= end) {
+        video.pause();
+        recorder.stop();
+        return;
+      }
+      ctx?.drawImage(video, 0, 0, width, height);
+      onProgress?.(Math.min(1, (video.currentTime - start) / (end - start)));
+      requestAnimationFrame(drawFrame);
+    };
+
+    video.play().then(() => {
+      // Cancelled while playback was starting: the recorder never ran, so onstop will not settle this
+      if (cancelled) throw new Error(CANCELLED);
+      recorder.start();
+      drawFrame();
+    }).catch(e => {
+      video.pause();
+      audioCtx.close();
+      reject(cancelled ? new Error(CANCELLED) : new Error('Video Encode Error', { cause: e }));
+    });
+  });
+};
+
+/**
+ * Scales the clip to the preset and re-encodes it as WebM with a mono Opus soundtrack.
+ */
+export const transcodeVideo = async (file: File, preset: VideoPreset, options: MediaOptions = {}): Promise<ProcessedMedia> => {
+  const video = await loadVideo(file);
+  try {
+    const [start, end] = clipRange(video.duration, options.trimStart, options.trimEnd);
+    const fast = await transcodeWithWebCodecs(file, video, preset, start, end, options);
+    return fast ?? await transcodeWithRecorder(video, preset, start, end, options);
+  } finally {
+    releaseVideo(video);
+  }
+};
+
+/**
+ * Hands the pixels of a picture, or of a recording every `stepSeconds`, to `onFrame` for the
+ * QR scanner. Each call is awaited, so frames never pile up in memory.
+ */
+export const readFrames = async (
+  file: File,
+  stepSeconds: number,
+  onFrame: (frame: ImageData, fraction: number) => Promise<void>
+): Promise<void> => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) throw new Error('Canvas error');
+  // On white, so transparent screenshots keep their contrast
+  const grab = (source: CanvasImageSource, width: number, height: number): ImageData => {
+    const scale = Math.min(MAX_SCAN_EDGE / Math.max(width, height), 1);
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  };
+
+  if (detectMediaType(file) === MediaType.IMAGE) {
+    const img = await loadImage(file);
+    await onFrame(grab(img, img.naturalWidth, img.naturalHeight), 1);
+    return;
+  }
+  const video = await loadVideo(file);
+  try {
+    for (let time = 0; time < video.duration; time += stepSeconds) {
+      await seekTo(video, time);
+      await onFrame(grab(video, video.videoWidth, video.videoHeight), Math.min(1, (time + stepSeconds) / video.duration));
+    }
+  } finally {
+    releaseVideo(video);
   }
 };
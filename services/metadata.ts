@@ -0,0 +1,132 @@
+
+import { DecodedMedia, FileMetadata, InboxItem, MediaType } from '../types';
+import { BUNDLE_MIME, unpackBundle } from './bundle';
+
+/**
+ * GhostComm File Envelope
+ * Prepended to the media bytes before compression, so it is sealed along with them.
+ * Layout: MAGIC (4) | JSON LENGTH (uint16) | UTF-8 JSON {name, mime, size[, expiresAt][, viewOnce]} | BYTES
+ * Payloads without the magic come from older builds and have no metadata.
+ * Expiry and view-once ride in here, covered by the digest (and the seal, if any), so they
+ * cannot be stripped from the volumes without breaking the transfer.
+ */
+
+const MAGIC = new Uint8Array([0x47, 0x43, 0x4D, 0x31]); // "GCM1"
+const LENGTH_FIELD = 2;
+const MAX_NAME_LENGTH = 200;
+const TEXT_PREVIEW_BYTES = 4096;
+const UNNAMED = 'unnamed';
+
+export const EXPIRED_ERROR = "Transfer expired: the sender limited how long it can be viewed.";
+export const VIEWED_ERROR = "View-once transfer already viewed on this device.";
+
+const MIME_EXTENSIONS: Record<string, string> = {
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'text/plain': 'txt'
+};
+
+export const extensionForMime = (mime: string): string => MIME_EXTENSIONS[mime.split(';')[0]] || 'bin';
+
+// Reverse lookup for callers that only have a file name (the CLI)
+export const mimeForName = (name: string): string => {
+  const extension = name.substring(name.lastIndexOf('.') + 1).toLowerCase();
+  const match = Object.entries(MIME_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : 'application/octet-stream';
+};
+
+// Transcoded media keeps the original base name but gets the extension of what is actually sent
+const withExtension = (name: string, mime: string): string => {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.substring(0, dot) : name;
+  return `${base}.${extensionForMime(mime)}`;
+};
+
+/**
+ * Describes what the receiver will get for `file` once it went through the pipeline for `type`.
+ */
+export const describeOutput = (file: File, type: MediaType, bytes: Uint8Array): FileMetadata => {
+  let mime = file.type || 'application/octet-stream';
+  if (type === MediaType.IMAGE) mime = 'image/webp';
+  if (type === MediaType.VIDEO) mime = 'video/webm';
+  if (type === MediaType.AUDIO) mime = 'audio/webm';
+
+  const name = type === MediaType.FILE ? file.name : withExtension(file.name, mime);
+  return { name: name.substring(0, MAX_NAME_LENGTH), mime, size: bytes.length };
+};
+
+// Never let a received name point outside the download folder, or at the folder itself ("", ".", "..")
+export const safeName = (name: string): string => {
+  const cleaned = name.replace(/[\\/]/g, '_').substring(0, MAX_NAME_LENGTH);
+  return /^\.*$/.test(cleaned.trim()) ? UNNAMED : cleaned;
+};
+
+// Bytes wrapPayload puts in front of the media
+export const envelopeSize = (meta: FileMetadata): number =>
+  MAGIC.length + LENGTH_FIELD + new TextEncoder().encode(JSON.stringify(meta)).length;
+
+export const wrapPayload = (bytes: Uint8Array, meta: FileMetadata): Uint8Array => {
+  const json = new TextEncoder().encode(JSON.stringify(meta));
+  const out = new Uint8Array(MAGIC.length + LENGTH_FIELD + json.length + bytes.length);
+  out.set(MAGIC);
+  new DataView(out.buffer).setUint16(MAGIC.length, json.length);
+  out.set(json, MAGIC.length + LENGTH_FIELD);
+  out.set(bytes, MAGIC.length + LENGTH_FIELD + json.length);
+  return out;
+};
+
+export const unwrapPayload = (data: Uint8Array): { meta: FileMetadata | null; bytes: Uint8Array } => {
+  const hasMagic = data.length >= MAGIC.length + LENGTH_FIELD && MAGIC.every((b, i) => data[i] === b);
+  if (!hasMagic) return { meta: null, bytes: data };
+
+  const jsonLength = new DataView(data.buffer, data.byteOffset).getUint16(MAGIC.length);
+  const start = MAGIC.length + LENGTH_FIELD;
+  try {
+    const meta = JSON.parse(new TextDecoder().decode(data.subarray(start, start + jsonLength)));
+    if (typeof meta.name !== 'string' || typeof meta.mime !== 'string') throw new Error("Invalid metadata");
+    const limits: Pick<FileMetadata, 'expiresAt' | 'viewOnce'> = {};
+    if (Number.isFinite(meta.expiresAt)) limits.expiresAt = meta.expiresAt;
+    if (meta.viewOnce === true) limits.viewOnce = true;
+    return { meta: { name: safeName(meta.name), mime: meta.mime, size: Number(meta.size) || 0, ...limits }, bytes: data.subarray(start + jsonLength) };
+  } catch (e) {
+    return { meta: null, bytes: data };
+  }
+};
+
+export const isExpired = (expiresAt?: number): boolean => expiresAt !== undefined && Date.now() >= expiresAt;
+
+export const isTextMime = (mime: string) => mime.startsWith('text/') || mime === 'application/json';
+
+const viewable = (base: Omit<DecodedMedia, 'dataUrl' | 'textPreview'>, bytes: Uint8Array): DecodedMedia => ({
+  ...base,
+  dataUrl: URL.createObjectURL(new Blob([bytes], { type: base.mime })),
+  textPreview: isTextMime(base.mime) ? new TextDecoder().decode(bytes.subarray(0, TEXT_PREVIEW_BYTES)) : undefined
+});
+
+/**
+ * Viewable form of a decoded item; the caller owns the object URLs (see releaseMedia).
+ * Bundles get one entry per item for the gallery.
+ */
+export const mediaFromItem = (item: InboxItem): DecodedMedia => {
+  const { transferId, type, size, name, mime, verified, digest, expiresAt } = item;
+  const media = viewable({ transferId, type, size, name, mime, verified, digest, expiresAt }, item.bytes);
+  if (mime !== BUNDLE_MIME) return media;
+  return {
+    ...media,
+    entries: unpackBundle(item.bytes).map(e => viewable({ transferId, type: e.type, size: e.meta.size, name: e.meta.name, mime: e.meta.mime, verified }, e.bytes))
+  };
+};
+
+export const releaseMedia = (media: DecodedMedia) => {
+  URL.revokeObjectURL(media.dataUrl);
+  media.entries?.forEach(releaseMedia);
+};
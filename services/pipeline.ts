@@ -0,0 +1,109 @@
+
+import { Chunk, FileMetadata, MediaType } from '../types';
+import type { ChunkOptions, DecodedTransfer, EncodeOptions, EncodedTransfer } from './protocol';
+import type { PipelineRequest, PipelineResponse } from './pipeline.worker';
+import type { ScanImage } from './qrScan';
+
+/**
+ * Promise front-end for the pipeline worker. One worker serves the whole app;
+ * it is started on first use and restarted if it crashes.
+ */
+
+type Progress = (fraction: number) => void;
+
+interface Pending {
+  resolve: (result: any) => void;
+  reject: (error: Error) => void;
+  onProgress?: Progress;
+}
+
+let worker: Worker | null = null;
+let nextId = 0;
+const pending = new Map<number, Pending>();
+
+const getWorker = (): Worker => {
+  if (worker) return worker;
+  worker = new Worker(new URL('./pipeline.worker.ts', import.meta.url), { type: 'module' });
+  worker.onmessage = (e: MessageEvent<PipelineResponse>) => {
+    const job = pending.get(e.data.id);
+    if (!job) return;
+    if ('progress' in e.data) {
+      job.onProgress?.(e.data.progress);
+      return;
+    }
+    pending.delete(e.data.id);
+    if ('error' in e.data) job.reject(new Error(e.data.error));
+    else job.resolve(e.data.result);
+  };
+  worker.onerror = (e) => {
+    // Out of memory and the like: fail everything in flight, start fresh next time
+    pending.forEach(job => job.reject(new Error(e.message || "Pipeline worker crashed.")));
+    pending.clear();
+    worker?.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+const run = <T>(request: PipelineRequest, onProgress?: Progress, transfer: Transferable[] = []): Promise<T> => {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, request }, transfer);
+  });
+};
+
+export const encodeInWorker = (
+  type: MediaType,
+  bytes: Uint8Array,
+  meta: FileMetadata,
+  maxChars: number,
+  options: Omit<EncodeOptions, 'onProgress'>,
+  onProgress?: Progress
+): Promise<EncodedTransfer> => run({ op: 'encode', type, bytes, meta, maxChars, options }, onProgress);
+
+/**
+ * Re-cuts an already compressed payload, e.g. for another messenger profile (and re-signs it).
+ */
+export const chunkInWorker = (
+  type: MediaType,
+  payload: Uint8Array,
+  maxChars: number,
+  options: Omit<ChunkOptions, 'onProgress'>,
+  onProgress?: Progress
+): Promise<string[]> => run({ op: 'chunk', type, payload, maxChars, options }, onProgress);
+
+/**
+ * Validates pasted text and decodes every v2 volume in it right away.
+ */
+export const extractInWorker = (text: string): Promise<Map<string, Chunk[]>> => run({ op: 'extract', text });
+
+/**
+ * Same for an exported chat thread (.txt / .json / .html), see chatExport.ts.
+ */
+export const importInWorker = (fileName: string, content: string): Promise<Map<string, Chunk[]>> =>
+  run({ op: 'import', fileName, content });
+
+export const assembleInWorker = (
+  transferId: string,
+  volumes: Map<number, Chunk>,
+  onProgress?: Progress
+): Promise<{ payload: Uint8Array; verified: boolean }> => run({ op: 'assemble', transferId, volumes }, onProgress);
+
+export const openInWorker = (
+  payload: Uint8Array,
+  passphrase?: string,
+  agreementKey?: CryptoKey
+): Promise<Pick<DecodedTransfer, 'meta' | 'bytes'>> => run({ op: 'open', payload, passphrase, agreementKey });
+
+/**
+ * Drops decoded volumes the worker keeps for a transfer (all transfers without an ID).
+ */
+export const forgetInWorker = (transferId?: string): Promise<void> => run({ op: 'forget', transferId });
+
+/**
+ * Reads every QR code in one picture or video frame. The pixels are moved to the worker,
+ * so `image` is unusable afterwards.
+ */
+export const scanInWorker = (image: ScanImage): Promise<string[]> =>
+  run({ op: 'scan', image }, undefined, [image.data.buffer as ArrayBuffer]);
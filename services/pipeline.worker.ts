@@ -0,0 +1,88 @@
+
+import { Chunk, FileMetadata, MediaType } from '../types';
+import { decodeVolume, extractAllChunks } from './chunker';
+import { encodeTransfer, chunkTransfer, assembleVerified, openPayload, extractFromExport, ChunkOptions, EncodeOptions } from './protocol';
+import { scanQrCodes, ScanImage } from './qrScan';
+
+/**
+ * GhostComm Pipeline Worker
+ * Deflate, sealing, Base32768/Base91 and CRC validation run here, off the UI thread.
+ * v2 volumes are decoded to bytes the moment they are pasted and kept per transfer,
+ * so a rebuild only has to run erasure recovery and concatenate typed arrays.
+ * QR codes in pictures and video frames are read here too.
+ */
+
+export type PipelineRequest =
+  | { op: 'encode'; type: MediaType; bytes: Uint8Array; meta: FileMetadata; maxChars: number; options: Omit<EncodeOptions, 'onProgress'> }
+  | { op: 'chunk'; type: MediaType; payload: Uint8Array; maxChars: number; options: Omit<ChunkOptions, 'onProgress'> }
+  | { op: 'extract'; text: string }
+  | { op: 'import'; fileName: string; content: string }
+  | { op: 'assemble'; transferId: string; volumes: Map<number, Chunk> }
+  | { op: 'open'; payload: Uint8Array; passphrase?: string; agreementKey?: CryptoKey }
+  | { op: 'forget'; transferId?: string }
+  | { op: 'scan'; image: ScanImage };
+
+export type PipelineResponse =
+  | { id: number; progress: number }
+  | { id: number; result: unknown }
+  | { id: number; error: string };
+
+// transferId -> volume index -> decoded block
+const decodedVolumes = new Map<string, Map<number, Uint8Array>>();
+
+const cacheVolumes = (transferId: string, chunks: Chunk[]) => {
+  const cache = decodedVolumes.get(transferId) || new Map<number, Uint8Array>();
+  for (const chunk of chunks) {
+    // v1 volumes are slices of one stream and cannot be decoded on their own
+    if (chunk.version === 2 && !cache.has(chunk.index)) cache.set(chunk.index, decodeVolume(chunk));
+  }
+  decodedVolumes.set(transferId, cache);
+};
+
+const handle = async (request: PipelineRequest, onProgress: (fraction: number) => void): Promise<unknown> => {
+  switch (request.op) {
+    case 'encode':
+      return encodeTransfer(request.type, request.bytes, request.meta, request.maxChars, { ...request.options, onProgress });
+    case 'chunk':
+      return chunkTransfer(request.type, request.payload, request.maxChars, { ...request.options, onProgress });
+    case 'extract': {
+      const found = extractAllChunks(request.text);
+      found.forEach((chunks, transferId) => cacheVolumes(transferId, chunks));
+      return found;
+    }
+    case 'import': {
+      const found = extractFromExport(request.fileName, request.content);
+      found.forEach((chunks, transferId) => cacheVolumes(transferId, chunks));
+      return found;
+    }
+    case 'assemble':
+      return assembleVerified(request.volumes, decodedVolumes.get(request.transferId), onProgress);
+    case 'open':
+      return openPayload(request.payload, request.passphrase, request.agreementKey);
+    case 'forget':
+      if (request.transferId) decodedVolumes.delete(request.transferId);
+      else decodedVolumes.clear();
+      return null;
+    case 'scan':
+      return scanQrCodes(request.image);
+  }
+};
+
+// Hand large results back without copying them
+const transferables = (result: unknown): Transferable[] => {
+  if (!result || typeof result !== 'object') return [];
+  const r = result as { payload?: Uint8Array; bytes?: Uint8Array };
+  const buffers = [r.payload?.buffer, r.bytes?.buffer].filter((b): b is ArrayBuffer => b instanceof ArrayBuffer);
+  return Array.from(new Set(buffers));
+};
+
+self.onmessage = async (e: MessageEvent<{ id: number; request: PipelineRequest }>) => {
+  const { id, request } = e.data;
+  const post = (message: PipelineResponse, transfer: Transferable[] = []) => self.postMessage(message, { transfer });
+  try {
+    const result = await handle(request, progress => post({ id, progress }));
+    post({ id, result }, transferables(result));
+  } catch (err) {
+    post({ id, error: err instanceof Error ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,179 @@
+
+import { Chunk, FileMetadata, MediaType } from '../types';
+import { createVolumes, createTransferId, assembleTransfer, transferDigest, extractFromMessages, VolumeOptions } from './chunker';
+import { parseChatExport } from './chatExport';
+import { calculateDigest } from './encoding';
+import { envelopeSize, wrapPayload, unwrapPayload } from './metadata';
+import { isSealed, sealBytes, unsealBytes, SEAL_OVERHEAD } from './crypto';
+import { isSealedToKey, sealToKey, signTransfer, unsealWithKey, KEY_SEALED_ERROR, KEY_SEAL_OVERHEAD, TransferSigner } from './identity';
+
+/**
+ * GhostComm Protocol Pipeline
+ * Everything between "bytes + metadata" and "volumes", shared by the web app and the
+ * Node CLI. Nothing here touches the DOM; it needs only Web Crypto and CompressionStream,
+ * which browsers and Node 18+ both provide.
+ *   encode: wrapPayload -> deflate -> [seal] -> [seal to key] -> createVolumes -> [signature]
+ *   decode: assembleTransfer -> SHA-256 check -> [unseal from key] -> [unseal] -> inflate -> unwrapPayload
+ */
+
+// Text-level helpers callers need around the pipeline, so Node users import one module
+export { extractAllChunks, extractFromMessages, decodeVolume, missingVolumes, createResendRequest, extractResendRequests, estimateVolumeCount } from './chunker';
+
+export { parseChatExport } from './chatExport';
+
+export { createIdentity, keyFingerprint, createContactCard, readContactCards, extractTransferSignatures, verifyTransferSignature, identifySigner, KEY_SEALED_ERROR } from './identity';
+
+export const DIGEST_ERROR = "Integrity Error: SHA-256 digest mismatch, payload altered in transit.";
+export const SEALED_ERROR = "Payload is sealed: passphrase required.";
+
+export interface ChunkOptions extends VolumeOptions {
+  signer?: TransferSigner; // Appends a signature message after the last volume
+}
+
+export interface EncodeOptions extends ChunkOptions {
+  passphrase?: string;
+  recipientKey?: string; // Agreement key of the contact who alone can open the transfer
+}
+
+export interface EncodedTransfer {
+  transferId: string;
+  payload: Uint8Array; // Compressed (and sealed) bytes, kept for re-chunking
+  volumes: string[];
+}
+
+export interface DecodedTransfer {
+  type: MediaType;
+  meta: FileMetadata | null; // Null for transfers from builds without the envelope
+  bytes: Uint8Array;
+  verified: boolean;
+}
+
+export const compressBytes = async (data: Uint8Array): Promise<Uint8Array> => {
+  const stream = new ReadableStream({ start(c) { c.enqueue(data); c.close(); } })
+    .pipeThrough(new CompressionStream('deflate'));
+  const reader = stream.getReader();
+  const chunks = [];
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+  const out = new Uint8Array(chunks.reduce((a, c) => a + c.length, 0));
+  let offset = 0;
+  for (const c of chunks) { out.set(c, offset); offset += c.length; }
+  return out;
+};
+
+export const decompressBytes = async (data: Uint8Array): Promise<Uint8Array> => {
+  try {
+    const stream = new ReadableStream({ start(c) { c.enqueue(data); c.close(); } })
+      .pipeThrough(new DecompressionStream('deflate'));
+    const reader = stream.getReader();
+    const chunks = [];
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+    const out = new Uint8Array(chunks.reduce((a, c) => a + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) { out.set(c, offset); offset += c.length; }
+    return out;
+  } catch (e) {
+    throw new Error("Corrupted Data");
+  }
+};
+
+// zlib's deflateBound: stored blocks and the stream header and trailer, for input deflate cannot shrink
+const deflateBound = (byteLength: number): number =>
+  byteLength + (byteLength >> 12) + (byteLength >> 14) + (byteLength >> 25) + 13;
+
+/**
+ * The most encodeTransfer can grow `byteLength` bytes of media into: envelope, deflate of
+ * already compressed data, and the seals asked for. Signatures travel in a volume of their own.
+ */
+export const payloadBound = (byteLength: number, meta: FileMetadata, { passphrase, recipientKey }: Pick<EncodeOptions, 'passphrase' | 'recipientKey'> = {}): number =>
+  deflateBound(envelopeSize(meta) + byteLength) + (passphrase ? SEAL_OVERHEAD : 0) + (recipientKey ? KEY_SEAL_OVERHEAD : 0);
+
+/**
+ * Largest media size whose payload still fits `capacity` bytes. The overhead never shrinks as
+ * the input grows, so taking off what a full `capacity` of media would add is always enough.
+ */
+export const mediaCapacity = (capacity: number, meta: FileMetadata, seals: Pick<EncodeOptions, 'passphrase' | 'recipientKey'> = {}): number =>
+  Math.max(0, 2 * capacity - payloadBound(capacity, meta, seals));
+
+export const encodeTransfer = async (
+  type: MediaType,
+  bytes: Uint8Array,
+  meta: FileMetadata,
+  maxChars: number,
+  { passphrase, recipientKey, transferId = createTransferId(), ...chunkOptions }: EncodeOptions = {}
+): Promise<EncodedTransfer> => {
+  const compressed = await compressBytes(wrapPayload(bytes, meta));
+  const sealed = passphrase ? await sealBytes(compressed, passphrase) : compressed;
+  const payload = recipientKey ? await sealToKey(sealed, recipientKey) : sealed;
+  const volumes = await chunkTransfer(type, payload, maxChars, { ...chunkOptions, transferId });
+  return { transferId, payload, volumes };
+};
+
+/**
+ * Cuts a compressed (and sealed) payload into volumes, signed if a signer is given.
+ * The signature goes last so volume indices, and with them resend requests, stay the same.
+ */
+export const chunkTransfer = async (
+  type: MediaType,
+  payload: Uint8Array,
+  maxChars: number,
+  { signer, transferId = createTransferId(), ...volumeOptions }: ChunkOptions = {}
+): Promise<string[]> => {
+  const volumes = await createVolumes(type, payload, maxChars, { ...volumeOptions, transferId });
+  if (signer) volumes.push(await signTransfer(transferId, await calculateDigest(payload), signer));
+  return volumes;
+};
+
+/**
+ * Rebuilds the payload and checks it against the announced SHA-256 (v2 only).
+ * `decoded` may hold volume blocks decoded earlier, as they arrived.
+ */
+export const assembleVerified = async (
+  volumes: Map<number, Chunk>,
+  decoded?: Map<number, Uint8Array>,
+  onProgress?: (fraction: number) => void
+): Promise<{ payload: Uint8Array; verified: boolean }> => {
+  const payload = assembleTransfer(volumes, decoded, onProgress);
+  const expectedDigest = transferDigest(volumes);
+  if (expectedDigest && await calculateDigest(payload) !== expectedDigest) throw new Error(DIGEST_ERROR);
+  return { payload, verified: !!expectedDigest };
+};
+
+/**
+ * Unseals (when needed), inflates and unwraps an assembled payload.
+ * `agreementKey` is the private half of the receiving identity, for transfers encrypted to it.
+ */
+export const openPayload = async (payload: Uint8Array, passphrase?: string, agreementKey?: CryptoKey) => {
+  let compressed = payload;
+  if (isSealedToKey(compressed)) {
+    if (!agreementKey) throw new Error(KEY_SEALED_ERROR);
+    compressed = await unsealWithKey(compressed, agreementKey);
+  }
+  if (isSealed(compressed)) {
+    if (!passphrase) throw new Error(SEALED_ERROR);
+    compressed = await unsealBytes(compressed, passphrase);
+  }
+  return unwrapPayload(await decompressBytes(compressed));
+};
+
+export const decodeTransfer = async (volumes: Map<number, Chunk>, passphrase?: string, agreementKey?: CryptoKey): Promise<DecodedTransfer> => {
+  const first = volumes.values().next().value;
+  if (!first) throw new Error("No volumes received.");
+  const { payload, verified } = await assembleVerified(volumes);
+  const { meta, bytes } = await openPayload(payload, passphrase, agreementKey);
+  return { type: first.type, meta, bytes, verified };
+};
+
+/**
+ * Every volume in an exported chat thread, with volumes split over several messages rejoined.
+ * Plain text without chat prefixes is read as one message, i.e. like extractAllChunks.
+ */
+export const extractFromExport = (fileName: string, content: string): Map<string, Chunk[]> =>
+  extractFromMessages(parseChatExport(fileName, content));
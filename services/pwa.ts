@@ -0,0 +1,74 @@
+/// <reference types="vite/client" />
+
+/**
+ * GhostComm PWA
+ * Service worker registration with an "update ready" hand-off, and the receiving end of the
+ * OS share sheet: service-worker.js parks shared text and files in the SHARE_CACHE and opens
+ * the app with ?share=1.
+ */
+
+const SHARE_CACHE = 'ghostcomm-share';
+const SHARE_PARAM = 'share';
+
+export interface SharedItems {
+  text: string;
+  files: File[];
+}
+
+/**
+ * Registers the worker in production builds (the dev server has no precache list).
+ * `onUpdate` gets a function that switches to a newly installed version and reloads.
+ */
+export const registerServiceWorker = async (onUpdate: (apply: () => void) => void): Promise<void> => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.register('./service-worker.js');
+    // First install has no controller yet: nothing to update from
+    if (!navigator.serviceWorker.controller) return;
+
+    const offer = (worker: ServiceWorker) => onUpdate(() => {
+      navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    if (registration.waiting) offer(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed') offer(worker);
+      });
+    });
+  } catch (e) {
+    console.warn("Service worker registration failed", e);
+  }
+};
+
+/**
+ * What the share sheet handed over, once: the cache is emptied and ?share=1 dropped from the URL.
+ */
+export const takeSharedItems = async (): Promise<SharedItems | null> => {
+  const url = new URL(window.location.href);
+  if (!url.searchParams.has(SHARE_PARAM) || !('caches' in window)) return null;
+  url.searchParams.delete(SHARE_PARAM);
+  window.history.replaceState(null, '', url.href);
+
+  try {
+    const cache = await caches.open(SHARE_CACHE);
+    let text = '';
+    const files: File[] = [];
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (!response) continue;
+      if (new URL(request.url).pathname.endsWith('/text')) {
+        text = await response.text();
+      } else {
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared');
+        files.push(new File([await response.blob()], name, { type: response.headers.get('Content-Type') || '' }));
+      }
+    }
+    await caches.delete(SHARE_CACHE);
+    return text || files.length ? { text, files } : null;
+  } catch (e) {
+    console.warn("Shared items could not be read", e);
+    return null;
+  }
+};
@@ -0,0 +1,577 @@
+
+/**
+ * GhostComm QR
+ * QR Code Model 2 (ISO/IEC 18004), written out here so volumes can cross an air gap without
+ * any library or online service. Byte mode only on the way out: QR volumes are Base91 text.
+ *   encodeQr:      text -> module matrix (smallest version that fits, best mask)
+ *   decodeModules: sampled module matrix -> text, Reed-Solomon corrected
+ * Finding codes in camera frames and screenshots is qrScan.ts.
+ */
+
+export type EcLevel = 'L' | 'M' | 'Q' | 'H';
+
+export interface QrCode {
+  version: number;
+  size: number; // Modules per side, quiet zone not included
+  modules: Uint8Array; // Row-major, 1 = dark
+}
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+const EC_LEVELS: EcLevel[] = ['L', 'M', 'Q', 'H'];
+const FORMAT_BITS: Record<EcLevel, number> = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Per EC level, indexed by version (0 unused)
+const ECC_CODEWORDS_PER_BLOCK: Record<EcLevel, number[]> = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+const ERROR_CORRECTION_BLOCKS: Record<EcLevel, number[]> = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+const MODE_NUMERIC = 0x1;
+const MODE_ALPHANUMERIC = 0x2;
+const MODE_BYTE = 0x4;
+const MODE_ECI = 0x7;
+const ALPHANUMERIC_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+// GF(256) over x^8 + x^4 + x^3 + x^2 + 1, as the standard prescribes
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11D;
+  }
+  for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+})();
+
+const gfMul = (a: number, b: number): number => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const gfDiv = (a: number, b: number): number => (a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]]);
+
+export const sizeForVersion = (version: number): number => version * 4 + 17;
+
+const rawDataModules = (version: number): number => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (version: number, ecl: EcLevel): number =>
+  Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[ecl][version] * ERROR_CORRECTION_BLOCKS[ecl][version];
+
+/**
+ * Bytes a byte-mode code of this version and level holds.
+ */
+export const byteCapacity = (version: number, ecl: EcLevel): number =>
+  Math.floor((dataCodewords(version, ecl) * 8 - 4 - (version < 10 ? 8 : 16)) / 8);
+
+export const alignmentPositions = (version: number): number[] => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = sizeForVersion(version) - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+};
+
+// Reed-Solomon generator with roots a^0 .. a^(degree - 1), leading 1 left out
+const rsGenerator = (degree: number): Uint8Array => {
+  const result = new Uint8Array(degree);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMul(result[j], root) ^ (j + 1 < degree ? result[j + 1] : 0);
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+};
+
+const rsRemainder = (data: Uint8Array, generator: Uint8Array): Uint8Array => {
+  const result = new Uint8Array(generator.length);
+  for (const b of data) {
+    const factor = b ^ result[0];
+    result.copyWithin(0, 1);
+    result[result.length - 1] = 0;
+    for (let i = 0; i < result.length; i++) result[i] ^= gfMul(generator[i], factor);
+  }
+  return result;
+};
+
+/**
+ * Corrects one block in place (data then EC codewords); false if it has more errors than
+ * `eccLength / 2`. Berlekamp-Massey for the error locator, Forney for the magnitudes.
+ */
+const rsCorrect = (block: Uint8Array, eccLength: number): boolean => {
+  const n = block.length;
+  const syndromes = new Uint8Array(eccLength);
+  let clean = true;
+  for (let i = 0; i < eccLength; i++) {
+    let value = 0;
+    for (let j = 0; j < n; j++) value = gfMul(value, EXP[i]) ^ block[j];
+    syndromes[i] = value;
+    if (value !== 0) clean = false;
+  }
+  if (clean) return true;
+
+  // Polynomials below are lowest degree first
+  let locator = [1];
+  let previous = [1];
+  let errors = 0;
+  let shift = 1;
+  let lastDiscrepancy = 1;
+  for (let i = 0; i < eccLength; i++) {
+    let discrepancy = syndromes[i];
+    for (let j = 1; j <= errors; j++) discrepancy ^= gfMul(locator[j] || 0, syndromes[i - j]);
+    if (discrepancy === 0) {
+      shift++;
+      continue;
+    }
+    const scale = gfDiv(discrepancy, lastDiscrepancy);
+    const next = locator.slice();
+    for (let j = 0; j < previous.length; j++) {
+      while (next.length <= j + shift) next.push(0);
+      next[j + shift] ^= gfMul(scale, previous[j]);
+    }
+    if (2 * errors <= i) {
+      previous = locator;
+      errors = i + 1 - errors;
+      lastDiscrepancy = discrepancy;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+  if (2 * errors > eccLength) return false;
+
+  const evaluate = (poly: number[], x: number): number => {
+    let value = 0;
+    for (let j = poly.length - 1; j >= 0; j--) value = gfMul(value, x) ^ poly[j];
+    return value;
+  };
+
+  // Error evaluator: syndromes * locator mod x^eccLength
+  const evaluator = new Array(eccLength).fill(0);
+  for (let i = 0; i < eccLength; i++) {
+    for (let j = 0; j < locator.length && i + j < eccLength; j++) evaluator[i + j] ^= gfMul(syndromes[i], locator[j]);
+  }
+  // Formal derivative: only odd powers survive in characteristic 2
+  const derivative = locator.slice(1).map((c, j) => (j % 2 === 0 ? c : 0));
+
+  let found = 0;
+  for (let position = 0; position < n; position++) {
+    const power = n - 1 - position;
+    const inverse = EXP[(255 - power) % 255];
+    if (evaluate(locator, inverse) !== 0) continue;
+    const denominator = evaluate(derivative, inverse);
+    if (denominator === 0) return false;
+    block[position] ^= gfMul(EXP[power], gfDiv(evaluate(evaluator, inverse), denominator));
+    found++;
+  }
+  return found === errors;
+};
+
+const formatBits = (ecl: EcLevel, mask: number): number => {
+  const data = (FORMAT_BITS[ecl] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+};
+
+const versionBits = (version: number): number => {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  return (version << 12) | rem;
+};
+
+const hammingDistance = (a: number, b: number): number => {
+  let x = a ^ b;
+  let count = 0;
+  while (x) {
+    count += x & 1;
+    x >>>= 1;
+  }
+  return count;
+};
+
+/**
+ * Level and mask of a 15-bit format word read off a code; null if it is too damaged.
+ */
+export const readFormatBits = (bits: number): { ecl: EcLevel; mask: number } | null => {
+  let best: { ecl: EcLevel; mask: number } | null = null;
+  let bestDistance = 4; // The BCH code corrects up to 3 bit errors
+  for (const ecl of EC_LEVELS) {
+    for (let mask = 0; mask < 8; mask++) {
+      const distance = hammingDistance(bits, formatBits(ecl, mask));
+      if (distance < bestDistance) {
+        best = { ecl, mask };
+        bestDistance = distance;
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Version of an 18-bit version word (versions 7 and up carry one); null if too damaged.
+ */
+export const readVersionBits = (bits: number): number | null => {
+  let best: number | null = null;
+  let bestDistance = 4;
+  for (let version = 7; version <= MAX_VERSION; version++) {
+    const distance = hammingDistance(bits, versionBits(version));
+    if (distance < bestDistance) {
+      best = version;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+const isMasked = (mask: number, x: number, y: number): boolean => {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+};
+
+// Finder, timing and alignment patterns plus the reserved format/version areas
+class Matrix {
+  readonly size: number;
+  readonly modules: Uint8Array;
+  readonly reserved: Uint8Array;
+
+  constructor(readonly version: number) {
+    this.size = sizeForVersion(version);
+    this.modules = new Uint8Array(this.size * this.size);
+    this.reserved = new Uint8Array(this.size * this.size);
+    this.drawFunctionPatterns();
+  }
+
+  set(x: number, y: number, dark: boolean) {
+    this.modules[y * this.size + x] = dark ? 1 : 0;
+    this.reserved[y * this.size + x] = 1;
+  }
+
+  private drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      // The three corners hold finders
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+
+    // Reserve format areas now (real bits go in after masking), version areas for good
+    this.drawFormat(0);
+    if (this.version >= 7) {
+      const bits = versionBits(this.version);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.set(a, b, dark);
+        this.set(b, a, dark);
+      }
+    }
+  }
+
+  private drawFinder(cx: number, cy: number) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        this.set(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  }
+
+  drawFormat(bits: number) {
+    const { size } = this;
+    const bit = (i: number) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true); // Always dark
+  }
+
+  // Visits data modules in placement order: two-column strips, right to left, snaking up and down
+  forEachDataModule(visit: (x: number, y: number) => void) {
+    const { size } = this;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.reserved[y * size + x]) visit(x, y);
+        }
+      }
+    }
+  }
+}
+
+// Block layout of a version/level: data length of each block and the EC length they share
+const blockLayout = (version: number, ecl: EcLevel): { dataLengths: number[]; eccLength: number } => {
+  const blocks = ERROR_CORRECTION_BLOCKS[ecl][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const raw = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - (raw % blocks);
+  const shortLength = Math.floor(raw / blocks);
+  return {
+    dataLengths: Array.from({ length: blocks }, (_, i) => shortLength - eccLength + (i < shortBlocks ? 0 : 1)),
+    eccLength
+  };
+};
+
+const interleave = (data: Uint8Array, version: number, ecl: EcLevel): Uint8Array => {
+  const { dataLengths, eccLength } = blockLayout(version, ecl);
+  const generator = rsGenerator(eccLength);
+  const blocks: { data: Uint8Array; ecc: Uint8Array }[] = [];
+  let offset = 0;
+  for (const length of dataLengths) {
+    const block = data.subarray(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ecc: rsRemainder(block, generator) });
+  }
+  const out: number[] = [];
+  const longest = Math.max(...dataLengths);
+  for (let i = 0; i < longest; i++) blocks.forEach(b => { if (i < b.data.length) out.push(b.data[i]); });
+  for (let i = 0; i < eccLength; i++) blocks.forEach(b => out.push(b.ecc[i]));
+  return Uint8Array.from(out);
+};
+
+const penalty = (modules: Uint8Array, size: number): number => {
+  let score = 0;
+  const at = (x: number, y: number) => modules[y * size + x];
+
+  // Runs of five or more, and finder-like 1:1:3:1:1 patterns with four light modules beside
+  const line = (get: (i: number) => number) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && get(i) === get(i - 1)) {
+        run++;
+        continue;
+      }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!(get(i) && !get(i + 1) && get(i + 2) && get(i + 3) && get(i + 4) && !get(i + 5) && get(i + 6))) continue;
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every(d => !get(i - d));
+      const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(d => !get(i + d));
+      if (lightBefore || lightAfter) score += 40;
+    }
+  };
+  for (let y = 0; y < size; y++) line(x => at(x, y));
+  for (let x = 0; x < size; x++) line(y => at(x, y));
+
+  // 2x2 blocks of one colour
+  for (let y = 0; y + 1 < size; y++) {
+    for (let x = 0; x + 1 < size; x++) {
+      const c = at(x, y);
+      if (c === at(x + 1, y) && c === at(x, y + 1) && c === at(x + 1, y + 1)) score += 3;
+    }
+  }
+
+  // Dark/light balance
+  const dark = modules.reduce((a, m) => a + m, 0);
+  score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  return score;
+};
+
+/**
+ * Encodes bytes (or text, as UTF-8) in byte mode, picking the smallest version that holds them
+ * at `ecl` and the mask with the lowest penalty.
+ */
+export const encodeQr = (input: string | Uint8Array, ecl: EcLevel = 'M'): QrCode => {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  let version = MIN_VERSION;
+  while (version <= MAX_VERSION && byteCapacity(version, ecl) < bytes.length) version++;
+  if (version > MAX_VERSION) throw new Error(`QR code holds at most ${byteCapacity(MAX_VERSION, ecl)} bytes at level ${ecl}.`);
+
+  // Mode, length, data, terminator, byte padding, pad codewords
+  const capacity = dataCodewords(version, ecl);
+  const bits: number[] = [];
+  const push = (value: number, length: number) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(MODE_BYTE, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  const data = new Uint8Array(capacity);
+  for (let i = 0; i < bits.length; i += 8) data[i / 8] = bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0);
+  for (let i = bits.length / 8, pad = 0xEC; i < capacity; i++, pad ^= 0xEC ^ 0x11) data[i] = pad;
+
+  const codewords = interleave(data, version, ecl);
+  const matrix = new Matrix(version);
+  let index = 0;
+  matrix.forEachDataModule((x, y) => {
+    // Remainder modules past the last codeword stay light
+    if (index < codewords.length * 8) matrix.modules[y * matrix.size + x] = (codewords[index >>> 3] >>> (7 - (index & 7))) & 1;
+    index++;
+  });
+
+  let best: Uint8Array | null = null;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = new Matrix(version);
+    candidate.modules.set(matrix.modules);
+    candidate.forEachDataModule((x, y) => { if (isMasked(mask, x, y)) candidate.modules[y * candidate.size + x] ^= 1; });
+    candidate.drawFormat(formatBits(ecl, mask));
+    const score = penalty(candidate.modules, candidate.size);
+    if (score < bestScore) {
+      best = candidate.modules;
+      bestScore = score;
+    }
+  }
+  return { version, size: matrix.size, modules: best! };
+};
+
+// Numeric, alphanumeric and byte segments; anything else ends the data
+const parseSegments = (data: Uint8Array, version: number): Uint8Array | null => {
+  let position = 0;
+  const read = (length: number): number => {
+    let value = 0;
+    for (let i = 0; i < length; i++, position++) {
+      value = (value << 1) | ((data[position >>> 3] >>> (7 - (position & 7))) & 1);
+    }
+    return value;
+  };
+  const remaining = () => data.length * 8 - position;
+  const countBits = (mode: number): number => {
+    const group = version < 10 ? 0 : version < 27 ? 1 : 2;
+    if (mode === MODE_NUMERIC) return [10, 12, 14][group];
+    if (mode === MODE_ALPHANUMERIC) return [9, 11, 13][group];
+    return [8, 16, 16][group];
+  };
+
+  const out: number[] = [];
+  while (remaining() >= 4) {
+    const mode = read(4);
+    if (mode === 0) break;
+    if (mode === MODE_ECI) {
+      // Assignment number only; the payload is read as UTF-8 regardless
+      const first = read(8);
+      if ((first & 0x80) !== 0) read((first & 0x40) === 0 ? 8 : 16);
+      continue;
+    }
+    if (mode !== MODE_NUMERIC && mode !== MODE_ALPHANUMERIC && mode !== MODE_BYTE) return out.length ? Uint8Array.from(out) : null;
+    const bitsNeeded = countBits(mode);
+    if (remaining() < bitsNeeded) return null;
+    let count = read(bitsNeeded);
+    if (mode === MODE_BYTE) {
+      if (remaining() < count * 8) return null;
+      while (count-- > 0) out.push(read(8));
+    } else if (mode === MODE_ALPHANUMERIC) {
+      for (; count >= 2; count -= 2) {
+        const pair = read(11);
+        out.push(ALPHANUMERIC_CHARS.charCodeAt(Math.floor(pair / 45)), ALPHANUMERIC_CHARS.charCodeAt(pair % 45));
+      }
+      if (count === 1) out.push(ALPHANUMERIC_CHARS.charCodeAt(read(6)));
+    } else {
+      for (; count >= 3; count -= 3) out.push(...String(read(10)).padStart(3, '0').split('').map(c => c.charCodeAt(0)));
+      if (count === 2) out.push(...String(read(7)).padStart(2, '0').split('').map(c => c.charCodeAt(0)));
+      if (count === 1) out.push(String(read(4)).charCodeAt(0));
+    }
+  }
+  return Uint8Array.from(out);
+};
+
+/**
+ * Reads a sampled code: `dark(x, y)` reports module x (column), y (row). Returns the text,
+ * or null when the format is unreadable or a block has too many errors.
+ */
+export const decodeModules = (version: number, dark: (x: number, y: number) => boolean): string | null => {
+  const size = sizeForVersion(version);
+
+  // Both copies of the format word; the second one helps when a finder corner is damaged
+  let first = 0;
+  let second = 0;
+  const firstPositions: [number, number][] = [
+    [8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]
+  ];
+  firstPositions.forEach(([x, y], i) => { if (dark(x, y)) first |= 1 << i; });
+  for (let i = 0; i < 8; i++) if (dark(size - 1 - i, 8)) second |= 1 << i;
+  for (let i = 8; i < 15; i++) if (dark(8, size - 15 + i)) second |= 1 << i;
+  const format = readFormatBits(first) ?? readFormatBits(second);
+  if (!format) return null;
+
+  const template = new Matrix(version);
+  const codewords = new Uint8Array(Math.floor(rawDataModules(version) / 8));
+  let index = 0;
+  template.forEachDataModule((x, y) => {
+    if (index < codewords.length * 8) {
+      const bit = (dark(x, y) ? 1 : 0) ^ (isMasked(format.mask, x, y) ? 1 : 0);
+      codewords[index >>> 3] |= bit << (7 - (index & 7));
+    }
+    index++;
+  });
+
+  // De-interleave, correct every block, concatenate the data parts
+  const { dataLengths, eccLength } = blockLayout(version, format.ecl);
+  const blocks = dataLengths.map(length => new Uint8Array(length + eccLength));
+  const longest = Math.max(...dataLengths);
+  let offset = 0;
+  for (let i = 0; i < longest; i++) blocks.forEach((b, j) => { if (i < dataLengths[j]) b[i] = codewords[offset++]; });
+  for (let i = 0; i < eccLength; i++) blocks.forEach((b, j) => { b[dataLengths[j] + i] = codewords[offset++]; });
+
+  const data = new Uint8Array(dataLengths.reduce((a, l) => a + l, 0));
+  let position = 0;
+  for (let j = 0; j < blocks.length; j++) {
+    if (!rsCorrect(blocks[j], eccLength)) return null;
+    data.set(blocks[j].subarray(0, dataLengths[j]), position);
+    position += dataLengths[j];
+  }
+
+  const bytes = parseSegments(data, version);
+  if (!bytes) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    // Latin-1 codes from other generators
+    return String.fromCharCode(...bytes);
+  }
+};
@@ -0,0 +1,443 @@
+
+import { alignmentPositions, decodeModules, MAX_VERSION, MIN_VERSION, readVersionBits, sizeForVersion } from './qr';
+
+/**
+ * GhostComm QR Scanner
+ * Finds and reads every QR code in a still image (a photo, a screenshot or one frame of a
+ * screen recording). DOM-free, so it runs in the pipeline worker:
+ *   binarize (block-adaptive threshold) -> finder patterns (1:1:3:1:1 runs, cross-checked)
+ *   -> triples of finders -> grid (perspective via the alignment pattern) -> decodeModules
+ */
+
+export interface ScanImage {
+  data: Uint8ClampedArray; // RGBA, as ImageData has it
+  width: number;
+  height: number;
+}
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+interface Finder extends Point {
+  module: number; // Estimated module size in pixels
+  count: number; // Rows it was seen on
+}
+
+interface Bitmap {
+  bits: Uint8Array; // 1 = dark
+  width: number;
+  height: number;
+}
+
+const BLOCK_SIZE = 8;
+const MIN_CONTRAST = 24; // Below this a block is taken to be flat
+const MAX_FINDERS = 40;
+const MAX_ATTEMPTS = 60;
+const ALIGNMENT_SEARCH = [4, 8, 16]; // Search radii, in modules
+const MAX_TIMING_DRIFT = 0.25; // Share of timing transitions noise may add or blur away
+
+const binarize = ({ data, width, height }: ScanImage): Bitmap => {
+  const luminance = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < luminance.length; i++, p += 4) {
+    const l = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+    // Transparent pixels count as white paper
+    luminance[i] = 255 - (((255 - l) * data[p + 3]) >> 8);
+  }
+
+  const blocksX = Math.ceil(width / BLOCK_SIZE);
+  const blocksY = Math.ceil(height / BLOCK_SIZE);
+  const averages = new Float32Array(blocksX * blocksY);
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let sum = 0;
+      let count = 0;
+      let min = 255;
+      let max = 0;
+      for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+        for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+          const l = luminance[y * width + x];
+          sum += l;
+          count++;
+          if (l < min) min = l;
+          if (l > max) max = l;
+        }
+      }
+      let average = sum / count;
+      if (max - min <= MIN_CONTRAST) {
+        // Flat block: light unless its neighbours say the area is dark
+        average = min / 2;
+        if (bx > 0 && by > 0) {
+          const neighbours = (averages[(by - 1) * blocksX + bx] + 2 * averages[by * blocksX + bx - 1] + averages[(by - 1) * blocksX + bx - 1]) / 4;
+          if (min < neighbours) average = neighbours;
+        }
+      }
+      averages[by * blocksX + bx] = average;
+    }
+  }
+
+  const bits = new Uint8Array(width * height);
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      let sum = 0;
+      let count = 0;
+      for (let y = Math.max(0, by - 2); y <= Math.min(blocksY - 1, by + 2); y++) {
+        for (let x = Math.max(0, bx - 2); x <= Math.min(blocksX - 1, bx + 2); x++) {
+          sum += averages[y * blocksX + x];
+          count++;
+        }
+      }
+      const threshold = sum / count;
+      for (let y = by * BLOCK_SIZE; y < Math.min(height, (by + 1) * BLOCK_SIZE); y++) {
+        for (let x = bx * BLOCK_SIZE; x < Math.min(width, (bx + 1) * BLOCK_SIZE); x++) {
+          bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+        }
+      }
+    }
+  }
+  return { bits, width, height };
+};
+
+const isDark = (image: Bitmap, x: number, y: number): boolean => {
+  const px = Math.floor(x);
+  const py = Math.floor(y);
+  if (px < 0 || py < 0 || px >= image.width || py >= image.height) return false;
+  return image.bits[py * image.width + px] === 1;
+};
+
+/**
+ * Run lengths from pixel (x, y) along (dx, dy): the run it sits in, then the following ones,
+ * `runs` in all. The last run may end at the image edge; null once `maxLength` is passed.
+ */
+const walk = (image: Bitmap, x: number, y: number, dx: number, dy: number, runs: number, maxLength: number): number[] | null => {
+  const lengths = [0];
+  let colour = isDark(image, x, y);
+  let total = 0;
+  for (let px = x, py = y; ; px += dx, py += dy) {
+    if (px < 0 || py < 0 || px >= image.width || py >= image.height) break;
+    const dark = isDark(image, px, py);
+    if (dark !== colour) {
+      if (lengths.length === runs) break;
+      lengths.push(0);
+      colour = dark;
+    }
+    lengths[lengths.length - 1]++;
+    if (++total > maxLength) return null;
+  }
+  return lengths.length === runs ? lengths : null;
+};
+
+const isFinderRatio = (counts: number[]): boolean => {
+  const total = counts.reduce((a, c) => a + c, 0);
+  if (total < 7) return false;
+  const module = total / 7;
+  const tolerance = module / 2;
+  return Math.abs(counts[0] - module) < tolerance
+    && Math.abs(counts[1] - module) < tolerance
+    && Math.abs(counts[2] - 3 * module) < 3 * tolerance
+    && Math.abs(counts[3] - module) < tolerance
+    && Math.abs(counts[4] - module) < tolerance;
+};
+
+// Finder runs through a pixel along one axis: its centre on that axis and the pattern's width
+const crossCheck = (image: Bitmap, x: number, y: number, vertical: boolean, maxLength: number): { centre: number; total: number } | null => {
+  if (!isDark(image, x, y)) return null;
+  const [dx, dy] = vertical ? [0, 1] : [1, 0];
+  const after = walk(image, x, y, dx, dy, 3, maxLength);
+  const before = walk(image, x, y, -dx, -dy, 3, maxLength);
+  if (!after || !before) return null;
+  const counts = [before[2], before[1], before[0] + after[0] - 1, after[1], after[2]];
+  if (!isFinderRatio(counts)) return null;
+  const start = vertical ? y : x;
+  return { centre: start + (after[0] - before[0] + 1) / 2, total: counts.reduce((a, c) => a + c, 0) };
+};
+
+const findFinders = (image: Bitmap): Finder[] => {
+  const finders: Finder[] = [];
+  const maxLength = Math.max(image.width, image.height);
+
+  for (let y = 0; y < image.height; y++) {
+    // Runs of this row, starting with a light one (possibly empty)
+    const runs: number[] = [0];
+    const starts: number[] = [0];
+    let colour = false;
+    for (let x = 0; x < image.width; x++) {
+      const dark = image.bits[y * image.width + x] === 1;
+      if (dark !== colour) {
+        runs.push(0);
+        starts.push(x);
+        colour = dark;
+      }
+      runs[runs.length - 1]++;
+    }
+
+    // Dark runs sit at odd indices
+    for (let i = 1; i + 4 < runs.length; i += 2) {
+      if (!isFinderRatio(runs.slice(i, i + 5))) continue;
+      const rowCentre = starts[i + 2] + runs[i + 2] / 2;
+      const vertical = crossCheck(image, Math.floor(rowCentre), y, true, maxLength);
+      if (!vertical) continue;
+      const horizontal = crossCheck(image, Math.floor(rowCentre), Math.floor(vertical.centre), false, maxLength);
+      if (!horizontal) continue;
+
+      const found = { x: horizontal.centre, y: vertical.centre, module: (horizontal.total + vertical.total) / 14 };
+      const same = finders.find(f =>
+        Math.abs(f.x - found.x) <= f.module * 2 && Math.abs(f.y - found.y) <= f.module * 2 && Math.abs(f.module - found.module) <= Math.max(1, f.module / 2)
+      );
+      if (same) {
+        same.x = (same.x * same.count + found.x) / (same.count + 1);
+        same.y = (same.y * same.count + found.y) / (same.count + 1);
+        same.module = (same.module * same.count + found.module) / (same.count + 1);
+        same.count++;
+      } else {
+        finders.push({ ...found, count: 1 });
+      }
+    }
+  }
+
+  // A finder is three modules tall in its centre; single hits are noise
+  return finders.filter(f => f.count >= 2).sort((a, b) => b.count - a.count).slice(0, MAX_FINDERS);
+};
+
+const distance = (a: Point, b: Point): number => Math.hypot(a.x - b.x, a.y - b.y);
+
+interface Candidate {
+  topLeft: Finder;
+  topRight: Finder;
+  bottomLeft: Finder;
+  score: number; // Lower is more square
+}
+
+// Three finders that could be the corners of one code, oriented top-left / top-right / bottom-left
+const arrange = (a: Finder, b: Finder, c: Finder): Candidate | null => {
+  const modules = [a.module, b.module, c.module];
+  const moduleSpread = Math.max(...modules) / Math.min(...modules);
+  if (moduleSpread > 1.5) return null;
+
+  let best: Candidate | null = null;
+  for (const [corner, p, q] of [[a, b, c], [b, a, c], [c, a, b]]) {
+    const u = { x: p.x - corner.x, y: p.y - corner.y };
+    const v = { x: q.x - corner.x, y: q.y - corner.y };
+    const lu = Math.hypot(u.x, u.y);
+    const lv = Math.hypot(v.x, v.y);
+    const legs = Math.max(lu, lv) / Math.min(lu, lv);
+    const cosine = Math.abs(u.x * v.x + u.y * v.y) / (lu * lv);
+    if (legs > 1.4 || cosine > 0.35) continue;
+    const score = (legs - 1) + cosine + (moduleSpread - 1);
+    if (best && best.score <= score) continue;
+    // Clockwise from top-left in image coordinates (y down) is top-right, then bottom-left
+    const clockwise = u.x * v.y - u.y * v.x > 0;
+    best = { topLeft: corner, topRight: clockwise ? p : q, bottomLeft: clockwise ? q : p, score };
+  }
+  return best;
+};
+
+type Transform = (x: number, y: number) => Point;
+
+// Perspective transform taking four module-space points onto four image points
+const homography = (from: Point[], to: Point[]): Transform | null => {
+  const rows: number[][] = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: X, y: Y } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * X, -y * X, X]);
+    rows.push([0, 0, 0, x, y, 1, -x * Y, -y * Y, Y]);
+  }
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 8; r++) if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < 8; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col] / rows[col][col];
+      for (let k = col; k < 9; k++) rows[r][k] -= factor * rows[col][k];
+    }
+  }
+  const h = rows.map((row, i) => row[8] / row[i]);
+  return (x, y) => {
+    const w = h[6] * x + h[7] * y + 1;
+    return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+  };
+};
+
+const affine = (candidate: Candidate, size: number): Transform => {
+  const { topLeft, topRight, bottomLeft } = candidate;
+  const span = size - 7;
+  return (x, y) => {
+    const u = (x - 3.5) / span;
+    const v = (y - 3.5) / span;
+    return {
+      x: topLeft.x + u * (topRight.x - topLeft.x) + v * (bottomLeft.x - topLeft.x),
+      y: topLeft.y + u * (topRight.y - topLeft.y) + v * (bottomLeft.y - topLeft.y)
+    };
+  };
+};
+
+// Alignment pattern: 5x5 modules, dark but for the ring around the centre
+const ALIGNMENT_TEMPLATE: [number, number, boolean][] = [];
+for (let j = -2; j <= 2; j++) {
+  for (let i = -2; i <= 2; i++) ALIGNMENT_TEMPLATE.push([i, j, Math.max(Math.abs(i), Math.abs(j)) !== 1]);
+}
+
+/**
+ * Looks for the alignment pattern around where the three finders put it, sampling the
+ * template along the code's own module axes so rotation does not matter.
+ */
+const findAlignment = (image: Bitmap, grid: Transform, centre: number, module: number): Point | null => {
+  const estimate = grid(centre, centre);
+  const across = grid(centre + 1, centre);
+  const down = grid(centre, centre + 1);
+  const ux = { x: across.x - estimate.x, y: across.y - estimate.y };
+  const uy = { x: down.x - estimate.x, y: down.y - estimate.y };
+  const matches = (x: number, y: number): number => {
+    let misses = 0;
+    for (const [i, j, dark] of ALIGNMENT_TEMPLATE) {
+      if (isDark(image, x + i * ux.x + j * uy.x, y + i * ux.y + j * uy.y) !== dark && ++misses > 1) break;
+    }
+    return ALIGNMENT_TEMPLATE.length - misses;
+  };
+
+  // Strong perspective moves it well away from the estimate, so widen the search step by step
+  for (const modules of ALIGNMENT_SEARCH) {
+    const radius = Math.ceil(module * modules);
+    const hits: { x: number; y: number; score: number }[] = [];
+    let bestScore = ALIGNMENT_TEMPLATE.length - 1; // One module may be misread
+    for (let y = Math.floor(estimate.y) - radius; y <= estimate.y + radius; y++) {
+      for (let x = Math.floor(estimate.x) - radius; x <= estimate.x + radius; x++) {
+        const score = matches(x + 0.5, y + 0.5);
+        if (score < bestScore) continue;
+        bestScore = score;
+        hits.push({ x: x + 0.5, y: y + 0.5, score });
+      }
+    }
+    const best = hits.filter(h => h.score === bestScore);
+    if (!best.length) continue;
+
+    // Nearest match to the estimate, centred on the positions around it that match as well
+    const nearest = best.reduce((a, b) => (distance(a, estimate) <= distance(b, estimate) ? a : b));
+    const around = best.filter(h => distance(h, nearest) <= module);
+    return {
+      x: around.reduce((a, h) => a + h.x, 0) / around.length,
+      y: around.reduce((a, h) => a + h.y, 0) / around.length
+    };
+  }
+  return null;
+};
+
+const gridFor = (image: Bitmap, candidate: Candidate, version: number, module: number): Transform => {
+  const size = sizeForVersion(version);
+  const rough = affine(candidate, size);
+  if (version < 2) return rough;
+  // The bottom-right alignment pattern corrects for perspective
+  const centre = alignmentPositions(version).pop()! + 0.5;
+  const found = findAlignment(image, rough, centre, module);
+  if (!found) return rough;
+  const { topLeft, topRight, bottomLeft } = candidate;
+  return homography(
+    [{ x: 3.5, y: 3.5 }, { x: size - 3.5, y: 3.5 }, { x: 3.5, y: size - 3.5 }, { x: centre, y: centre }],
+    [topLeft, topRight, bottomLeft, found]
+  ) ?? rough;
+};
+
+// Versions 7+ spell their version out next to two finders; trust that over the estimate
+const readVersion = (image: Bitmap, grid: Transform, size: number): number | null => {
+  let topRight = 0;
+  let bottomLeft = 0;
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    const tr = grid(a + 0.5, b + 0.5);
+    const bl = grid(b + 0.5, a + 0.5);
+    if (isDark(image, tr.x, tr.y)) topRight |= 1 << i;
+    if (isDark(image, bl.x, bl.y)) bottomLeft |= 1 << i;
+  }
+  return readVersionBits(topRight) ?? readVersionBits(bottomLeft);
+};
+
+// Row and column 6 alternate between the finders; finders of different codes lined up do not.
+// Transitions are counted pixel by pixel, as perspective shifts the modules in between.
+const hasTiming = (image: Bitmap, grid: Transform, size: number): boolean => {
+  const expected = size - 15; // Modules 7 to size - 8 alternate, light at both ends
+  const transitions = (from: Point, to: Point): number => {
+    const steps = Math.ceil(distance(from, to));
+    let count = 0;
+    let previous = isDark(image, from.x, from.y);
+    for (let i = 1; i <= steps; i++) {
+      const dark = isDark(image, from.x + ((to.x - from.x) * i) / steps, from.y + ((to.y - from.y) * i) / steps);
+      if (dark !== previous) count++;
+      previous = dark;
+    }
+    return count;
+  };
+  return [
+    transitions(grid(7.5, 6.5), grid(size - 7.5, 6.5)),
+    transitions(grid(6.5, 7.5), grid(6.5, size - 7.5))
+  ].every(count => Math.abs(count - expected) <= Math.max(2, expected * MAX_TIMING_DRIFT));
+};
+
+const decodeCandidate = (image: Bitmap, candidate: Candidate): string | null => {
+  const { topLeft, topRight, bottomLeft } = candidate;
+  const module = (topLeft.module + topRight.module + bottomLeft.module) / 3;
+  const dimension = (distance(topLeft, topRight) + distance(topLeft, bottomLeft)) / 2 / module + 7;
+  const estimate = Math.round((dimension - 17) / 4);
+
+  const tried = new Set<number>();
+  const queue = [estimate, estimate - 1, estimate + 1];
+  while (queue.length) {
+    let version = queue.shift()!;
+    if (version < MIN_VERSION || version > MAX_VERSION || tried.has(version)) continue;
+    if (version >= 7) {
+      const stated = readVersion(image, affine(candidate, sizeForVersion(version)), sizeForVersion(version));
+      if (stated && stated !== version) {
+        if (tried.has(stated)) continue;
+        version = stated;
+      }
+    }
+    tried.add(version);
+    const size = sizeForVersion(version);
+    if (!hasTiming(image, affine(candidate, size), size)) continue;
+    const grid = gridFor(image, candidate, version, module);
+    const text = decodeModules(version, (x, y) => {
+      const p = grid(x + 0.5, y + 0.5);
+      return isDark(image, p.x, p.y);
+    });
+    if (text !== null) return text;
+  }
+  return null;
+};
+
+/**
+ * Texts of all QR codes readable in the image, in no particular order.
+ */
+export const scanQrCodes = (source: ScanImage): string[] => {
+  const image = binarize(source);
+  const finders = findFinders(image);
+
+  const candidates: Candidate[] = [];
+  for (let i = 0; i < finders.length; i++) {
+    for (let j = i + 1; j < finders.length; j++) {
+      for (let k = j + 1; k < finders.length; k++) {
+        const candidate = arrange(finders[i], finders[j], finders[k]);
+        if (candidate) candidates.push(candidate);
+      }
+    }
+  }
+  candidates.sort((a, b) => a.score - b.score);
+
+  const texts = new Set<string>();
+  const used = new Set<Finder>();
+  let attempts = 0;
+  for (const candidate of candidates) {
+    const corners = [candidate.topLeft, candidate.topRight, candidate.bottomLeft];
+    if (corners.some(f => used.has(f))) continue;
+    if (++attempts > MAX_ATTEMPTS) break;
+    const text = decodeCandidate(image, candidate);
+    if (text === null) continue;
+    texts.add(text);
+    corners.forEach(f => used.add(f));
+  }
+  return [...texts];
+};
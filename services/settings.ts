@@ -0,0 +1,39 @@
+
+import { TransferSettings, MESSENGER_LIMITS, CUSTOM_LIMIT_ID } from '../types';
+
+const STORAGE_KEY = 'ghostcomm.settings';
+export const MIN_CUSTOM_CHARS = 500;
+
+export const DEFAULT_SETTINGS: TransferSettings = {
+  limitId: 'titan',
+  customMaxChars: 8000
+};
+
+export const loadSettings = (): TransferSettings => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return DEFAULT_SETTINGS;
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+  } catch (e) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings: TransferSettings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Settings could not be saved", e);
+  }
+};
+
+export const resolveMaxChars = (settings: TransferSettings): number => {
+  if (settings.limitId === CUSTOM_LIMIT_ID) return Math.max(MIN_CUSTOM_CHARS, settings.customMaxChars);
+  const limit = MESSENGER_LIMITS.find(l => l.id === settings.limitId) || MESSENGER_LIMITS[2];
+  return limit.maxChars;
+};
+
+export const describeLimit = (settings: TransferSettings): string => {
+  if (settings.limitId === CUSTOM_LIMIT_ID) return `Custom (${resolveMaxChars(settings)})`;
+  return (MESSENGER_LIMITS.find(l => l.id === settings.limitId) || MESSENGER_LIMITS[2]).name;
+};
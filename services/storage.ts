@@ -0,0 +1,216 @@
+
+import { Chunk, Contact, EncodeSession, Identity, InboxItem, RecentResult, TransferMap, TransferSignature } from '../types';
+
+/**
+ * GhostComm Inbox
+ * IndexedDB copy of everything that would otherwise die with the tab:
+ * open transfers (received volumes), decoded items, the last encode session
+ * and recently sent volumes (to answer resend requests).
+ * The keyring (own identity, contacts) lives in its own store and survives a wipe, as does
+ * the list of view-once transfers already shown: the volumes are still in the messenger.
+ * Mobile browsers kill backgrounded PWAs while the user copies the next volume,
+ * so every change is written straight through. Storage failures (private mode,
+ * quota) are logged and the app keeps working from memory.
+ */
+
+const DB_NAME = 'ghostcomm';
+const DB_VERSION = 2;
+const TRANSFERS = 'transfers';
+const ITEMS = 'items';
+const SESSION = 'session';
+const KEYRING = 'keyring';
+const ENCODE_SESSION_KEY = 'encode';
+const RECENT_RESULTS_KEY = 'recent';
+const SIGNATURES_KEY = 'signatures';
+const IDENTITY_KEY = 'identity';
+const CONTACTS_KEY = 'contacts';
+const VIEWED_KEY = 'viewed';
+
+interface StoredTransfer {
+  transferId: string;
+  chunks: Chunk[];
+  updatedAt: number;
+}
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+const openDb = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TRANSFERS)) db.createObjectStore(TRANSFERS, { keyPath: 'transferId' });
+        if (!db.objectStoreNames.contains(ITEMS)) db.createObjectStore(ITEMS, { keyPath: 'transferId' });
+        if (!db.objectStoreNames.contains(SESSION)) db.createObjectStore(SESSION);
+        if (!db.objectStoreNames.contains(KEYRING)) db.createObjectStore(KEYRING);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => { dbPromise = null; reject(request.error); };
+    });
+  }
+  return dbPromise;
+};
+
+const requestResult = <T>(request: IDBRequest<T>): Promise<T> => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const transactionDone = (tx: IDBTransaction): Promise<void> => {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Writes are fire-and-forget for the UI; reads fall back to an empty inbox
+const safely = async <T>(label: string, action: () => Promise<T>, fallback: T): Promise<T> => {
+  try {
+    return await action();
+  } catch (e) {
+    console.warn(`Inbox ${label} failed`, e);
+    return fallback;
+  }
+};
+
+export const loadTransfers = (): Promise<TransferMap> => safely('load', async () => {
+  const db = await openDb();
+  const stored = await requestResult<StoredTransfer[]>(db.transaction(TRANSFERS).objectStore(TRANSFERS).getAll());
+  const transfers: TransferMap = new Map();
+  stored
+    .sort((a, b) => a.updatedAt - b.updatedAt)
+    .forEach(t => transfers.set(t.transferId, new Map(t.chunks.map(c => [c.index, c]))));
+  return transfers;
+}, new Map());
+
+/**
+ * Mirrors the open transfers: changed ones are rewritten, dropped ones deleted.
+ */
+export const saveTransfers = (transfers: TransferMap): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(TRANSFERS, 'readwrite');
+  const store = tx.objectStore(TRANSFERS);
+  const storedIds = await requestResult(store.getAllKeys());
+  storedIds.forEach(id => { if (!transfers.has(id as string)) store.delete(id); });
+  const now = Date.now();
+  transfers.forEach((volumes, transferId) => {
+    store.put({ transferId, chunks: Array.from(volumes.values()), updatedAt: now } as StoredTransfer);
+  });
+  await transactionDone(tx);
+}, undefined);
+
+export const loadItems = (): Promise<InboxItem[]> => safely('load', async () => {
+  const db = await openDb();
+  const items = await requestResult<InboxItem[]>(db.transaction(ITEMS).objectStore(ITEMS).getAll());
+  return items.sort((a, b) => b.receivedAt - a.receivedAt);
+}, []);
+
+export const saveItem = (item: InboxItem): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(ITEMS, 'readwrite');
+  tx.objectStore(ITEMS).put(item);
+  await transactionDone(tx);
+}, undefined);
+
+export const deleteItem = (transferId: string): Promise<void> => safely('delete', async () => {
+  const db = await openDb();
+  const tx = db.transaction(ITEMS, 'readwrite');
+  tx.objectStore(ITEMS).delete(transferId);
+  await transactionDone(tx);
+}, undefined);
+
+export const loadEncodeSession = (): Promise<EncodeSession | null> => safely('load', async () => {
+  const db = await openDb();
+  const session = await requestResult<EncodeSession | undefined>(db.transaction(SESSION).objectStore(SESSION).get(ENCODE_SESSION_KEY));
+  return session ?? null;
+}, null);
+
+export const saveEncodeSession = (session: EncodeSession): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(SESSION, 'readwrite');
+  tx.objectStore(SESSION).put(session, ENCODE_SESSION_KEY);
+  await transactionDone(tx);
+}, undefined);
+
+export const loadRecentResults = (): Promise<RecentResult[]> => safely('load', async () => {
+  const db = await openDb();
+  const recent = await requestResult<RecentResult[] | undefined>(db.transaction(SESSION).objectStore(SESSION).get(RECENT_RESULTS_KEY));
+  return recent ?? [];
+}, []);
+
+export const saveRecentResults = (recent: RecentResult[]): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(SESSION, 'readwrite');
+  tx.objectStore(SESSION).put(recent, RECENT_RESULTS_KEY);
+  await transactionDone(tx);
+}, undefined);
+
+export const loadSignatures = (): Promise<TransferSignature[]> => safely('load', async () => {
+  const db = await openDb();
+  const signatures = await requestResult<TransferSignature[] | undefined>(db.transaction(SESSION).objectStore(SESSION).get(SIGNATURES_KEY));
+  return signatures ?? [];
+}, []);
+
+export const saveSignatures = (signatures: TransferSignature[]): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(SESSION, 'readwrite');
+  tx.objectStore(SESSION).put(signatures, SIGNATURES_KEY);
+  await transactionDone(tx);
+}, undefined);
+
+/**
+ * The identity is stored with its CryptoKeys as they are; the private keys stay non-extractable.
+ */
+export const loadIdentity = (): Promise<Identity | null> => safely('load', async () => {
+  const db = await openDb();
+  const identity = await requestResult<Identity | undefined>(db.transaction(KEYRING).objectStore(KEYRING).get(IDENTITY_KEY));
+  return identity ?? null;
+}, null);
+
+export const saveIdentity = (identity: Identity | null): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(KEYRING, 'readwrite');
+  if (identity) tx.objectStore(KEYRING).put(identity, IDENTITY_KEY);
+  else tx.objectStore(KEYRING).delete(IDENTITY_KEY);
+  await transactionDone(tx);
+}, undefined);
+
+export const loadContacts = (): Promise<Contact[]> => safely('load', async () => {
+  const db = await openDb();
+  const contacts = await requestResult<Contact[] | undefined>(db.transaction(KEYRING).objectStore(KEYRING).get(CONTACTS_KEY));
+  return contacts ?? [];
+}, []);
+
+export const saveContacts = (contacts: Contact[]): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(KEYRING, 'readwrite');
+  tx.objectStore(KEYRING).put(contacts, CONTACTS_KEY);
+  await transactionDone(tx);
+}, undefined);
+
+export const loadViewedOnce = (): Promise<string[]> => safely('load', async () => {
+  const db = await openDb();
+  const viewed = await requestResult<string[] | undefined>(db.transaction(KEYRING).objectStore(KEYRING).get(VIEWED_KEY));
+  return viewed ?? [];
+}, []);
+
+export const saveViewedOnce = (viewed: string[]): Promise<void> => safely('save', async () => {
+  const db = await openDb();
+  const tx = db.transaction(KEYRING, 'readwrite');
+  tx.objectStore(KEYRING).put(viewed, VIEWED_KEY);
+  await transactionDone(tx);
+}, undefined);
+
+/**
+ * Removes every stored transfer, decoded item and session. The keyring is kept.
+ */
+export const wipeAll = (): Promise<void> => safely('wipe', async () => {
+  const db = await openDb();
+  const tx = db.transaction([TRANSFERS, ITEMS, SESSION], 'readwrite');
+  [TRANSFERS, ITEMS, SESSION].forEach(name => tx.objectStore(name).clear());
+  await transactionDone(tx);
+}, undefined);
@@ -0,0 +1,203 @@
+
+/**
+ * GhostComm WebM Muxer
+ * Just enough Matroska to wrap WebCodecs output: one video track, an optional
+ * audio track, SimpleBlocks in clusters and a Duration (which MediaRecorder files lack).
+ * No Cues: receivers play the whole clip from memory, they never seek over the network.
+ */
+
+export interface WebmFrame {
+  data: Uint8Array;
+  timestamp: number; // Microseconds
+  key: boolean;
+}
+
+export interface WebmVideoTrack {
+  codecId: string; // V_VP8 / V_VP9
+  width: number;
+  height: number;
+  frames: WebmFrame[];
+}
+
+export interface WebmAudioTrack {
+  codecId: string; // A_OPUS
+  codecPrivate: Uint8Array;
+  sampleRate: number;
+  channels: number;
+  frames: WebmFrame[];
+}
+
+const TIMECODE_SCALE = 1000000; // Block timecodes in milliseconds
+const MAX_CLUSTER_SPAN = 30000; // SimpleBlock timecodes are int16 relative to the cluster
+
+const ID = {
+  EBML: [0x1A, 0x45, 0xDF, 0xA3],
+  EBMLVersion: [0x42, 0x86],
+  EBMLReadVersion: [0x42, 0xF7],
+  EBMLMaxIDLength: [0x42, 0xF2],
+  EBMLMaxSizeLength: [0x42, 0xF3],
+  DocType: [0x42, 0x82],
+  DocTypeVersion: [0x42, 0x87],
+  DocTypeReadVersion: [0x42, 0x85],
+  Segment: [0x18, 0x53, 0x80, 0x67],
+  Info: [0x15, 0x49, 0xA9, 0x66],
+  TimecodeScale: [0x2A, 0xD7, 0xB1],
+  MuxingApp: [0x4D, 0x80],
+  WritingApp: [0x57, 0x41],
+  Duration: [0x44, 0x89],
+  Tracks: [0x16, 0x54, 0xAE, 0x6B],
+  TrackEntry: [0xAE],
+  TrackNumber: [0xD7],
+  TrackUID: [0x73, 0xC5],
+  TrackType: [0x83],
+  CodecID: [0x86],
+  CodecPrivate: [0x63, 0xA2],
+  Video: [0xE0],
+  PixelWidth: [0xB0],
+  PixelHeight: [0xBA],
+  Audio: [0xE1],
+  SamplingFrequency: [0xB5],
+  Channels: [0x9F],
+  Cluster: [0x1F, 0x43, 0xB6, 0x75],
+  Timecode: [0xE7],
+  SimpleBlock: [0xA3]
+};
+
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+const concat = (parts: Uint8Array[]): Uint8Array => {
+  const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+};
+
+// EBML variable-length size: the leading 1 bit marks the byte length
+const vint = (value: number): Uint8Array => {
+  let length = 1;
+  while (length < 8 && value >= 2 ** (7 * length) - 1) length++;
+  const out = new Uint8Array(length);
+  let v = value;
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = v % 256;
+    v = Math.floor(v / 256);
+  }
+  out[0] |= 0x80 >> (length - 1);
+  return out;
+};
+
+const element = (id: number[], body: Uint8Array): Uint8Array => concat([new Uint8Array(id), vint(body.length), body]);
+
+const master = (id: number[], children: Uint8Array[]): Uint8Array => element(id, concat(children));
+
+const uint = (id: number[], value: number): Uint8Array => {
+  const bytes: number[] = [];
+  let v = value;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0);
+  return element(id, new Uint8Array(bytes));
+};
+
+const float = (id: number[], value: number): Uint8Array => {
+  const body = new Uint8Array(8);
+  new DataView(body.buffer).setFloat64(0, value);
+  return element(id, body);
+};
+
+const string = (id: number[], value: string): Uint8Array => element(id, new TextEncoder().encode(value));
+
+const simpleBlock = (track: number, relative: number, frame: WebmFrame): Uint8Array => {
+  const header = new Uint8Array(4);
+  header[0] = 0x80 | track;
+  new DataView(header.buffer).setInt16(1, relative);
+  header[3] = frame.key ? 0x80 : 0x00;
+  return element(ID.SimpleBlock, concat([header, frame.data]));
+};
+
+const clusters = (video: WebmVideoTrack, audio?: WebmAudioTrack): Uint8Array[] => {
+  const blocks = [
+    ...video.frames.map(frame => ({ track: VIDEO_TRACK, frame })),
+    ...(audio?.frames || []).map(frame => ({ track: AUDIO_TRACK, frame: { ...frame, key: true } }))
+  ].sort((a, b) => a.frame.timestamp - b.frame.timestamp);
+
+  const out: Uint8Array[] = [];
+  let clusterStart = -1;
+  let pending: Uint8Array[] = [];
+  const flush = () => {
+    if (pending.length > 0) out.push(master(ID.Cluster, [uint(ID.Timecode, clusterStart), ...pending]));
+    pending = [];
+  };
+
+  for (const { track, frame } of blocks) {
+    const ms = Math.max(0, Math.round(frame.timestamp / 1000));
+    // Start clusters on video keyframes so players can resync after a gap
+    if (clusterStart < 0 || ms - clusterStart >= MAX_CLUSTER_SPAN || (track === VIDEO_TRACK && frame.key && pending.length > 0)) {
+      flush();
+      clusterStart = ms;
+    }
+    pending.push(simpleBlock(track, ms - clusterStart, frame));
+  }
+  flush();
+  return out;
+};
+
+/**
+ * Muxes encoded frames into a complete WebM file. `duration` is in seconds.
+ */
+export const muxWebm = (video: WebmVideoTrack, audio: WebmAudioTrack | undefined, duration: number): Uint8Array => {
+  const header = master(ID.EBML, [
+    uint(ID.EBMLVersion, 1),
+    uint(ID.EBMLReadVersion, 1),
+    uint(ID.EBMLMaxIDLength, 4),
+    uint(ID.EBMLMaxSizeLength, 8),
+    string(ID.DocType, 'webm'),
+    uint(ID.DocTypeVersion, 2),
+    uint(ID.DocTypeReadVersion, 2)
+  ]);
+
+  const info = master(ID.Info, [
+    uint(ID.TimecodeScale, TIMECODE_SCALE),
+    string(ID.MuxingApp, 'GhostComm'),
+    string(ID.WritingApp, 'GhostComm'),
+    float(ID.Duration, duration * 1000)
+  ]);
+
+  const entries = [master(ID.TrackEntry, [
+    uint(ID.TrackNumber, VIDEO_TRACK),
+    uint(ID.TrackUID, VIDEO_TRACK),
+    uint(ID.TrackType, 1),
+    string(ID.CodecID, video.codecId),
+    master(ID.Video, [uint(ID.PixelWidth, video.width), uint(ID.PixelHeight, video.height)])
+  ])];
+  if (audio) {
+    entries.push(master(ID.TrackEntry, [
+      uint(ID.TrackNumber, AUDIO_TRACK),
+      uint(ID.TrackUID, AUDIO_TRACK),
+      uint(ID.TrackType, 2),
+      string(ID.CodecID, audio.codecId),
+      element(ID.CodecPrivate, audio.codecPrivate),
+      master(ID.Audio, [float(ID.SamplingFrequency, audio.sampleRate), uint(ID.Channels, audio.channels)])
+    ]));
+  }
+
+  return concat([header, master(ID.Segment, [info, master(ID.Tracks, entries), ...clusters(video, audio)])]);
+};
+
+/**
+ * Opus identification header for CodecPrivate (RFC 7845, section 5.1).
+ */
+export const opusHead = (channels: number, sampleRate: number, preSkip = 0): Uint8Array => {
+  const head = new Uint8Array(19);
+  head.set(new TextEncoder().encode('OpusHead'));
+  const view = new DataView(head.buffer);
+  view.setUint8(8, 1);
+  view.setUint8(9, channels);
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, sampleRate, true);
+  view.setInt16(16, 0, true);
+  view.setUint8(18, 0);
+  return head;
+};
@@ -0,0 +1,14 @@
+import defaultTheme from 'tailwindcss/defaultTheme';
+
+/** @type {import('tailwindcss').Config} */
+export default {
+  // index.js and index.tsx are the earlier single-file builds, not part of the bundle
+  content: ['./index.html', './main.tsx', './App.tsx', './components/**/*.tsx'],
+  theme: {
+    extend: {
+      fontFamily: {
+        mono: ['JetBrains Mono', ...defaultTheme.fontFamily.mono]
+      }
+    }
+  }
+};
@@ -0,0 +1,122 @@
+/// <reference types="vite/client" />
+
+import { encodeBase32768, decodeBase32768, calculateLegacyChecksum } from '../services/encoding';
+import { extractAllChunks, assembleTransfer } from '../services/chunker';
+import { compressBytes, decompressBytes } from '../services/protocol';
+import { Chunk } from '../types';
+import indexJsSource from '../index.js?raw';
+import indexTsxSource from '../index.tsx?raw';
+
+/**
+ * The three implementations of the wire format behind one interface: services/ (the app and
+ * the CLI), and the single-file builds index.tsx and index.js. The single-file builds only
+ * speak v1 (GC:TYPE:TOTAL:INDEX:CHECKSUM:PAYLOAD, slices of one Base32768 stream of deflated
+ * bytes), which services/ still reads; v2 is covered against services/ alone.
+ */
+export interface Build {
+  name: string;
+  encodeBase32768: (data: Uint8Array) => string;
+  decodeBase32768: (text: string) => Uint8Array;
+  legacyChecksum: (text: string) => string;
+  compress: (data: Uint8Array) => Promise<Uint8Array>;
+  decompress: (data: Uint8Array) => Promise<Uint8Array>;
+  // v1 volumes for already deflated bytes; null where the build writes v2 only
+  createLegacyVolumes: ((type: string, compressed: Uint8Array, maxChars: number) => string[]) | null;
+  // Deflated bytes back from the v1 volumes of one transfer, pasted one after another
+  readLegacyVolumes: (volumes: string[]) => Uint8Array;
+  // What the messenger may add inside a v1 payload that this build still reads through
+  payloadNoise: string;
+}
+
+// The single-file builds keep their wire format between two banner comments, in plain JS that
+// needs no browser until called. The section runs on its own and hands back the names asked for.
+const loadSection = (file: string, source: string, start: string, end: string, names: string[]): Record<string, any> => {
+  const from = source.indexOf(start);
+  const to = source.indexOf(end, from);
+  if (from < 0 || to < 0) throw new Error(`${file}: protocol section between "${start}" and "${end}" not found`);
+  const section = new Function(`${source.substring(from, to)}\nreturn { ${names.join(', ')} };`)();
+  for (const name of names) {
+    if (section[name] === undefined) throw new Error(`${file}: ${name} is missing from the protocol section`);
+  }
+  return section;
+};
+
+// What every v1 reader does once all volumes are in: payloads in index order, one stream
+const joinSlices = (slices: { index: number; payload: string }[]): string =>
+  [...slices].sort((a, b) => a.index - b.index).map(s => s.payload).join('');
+
+const services: Build = {
+  name: 'services',
+  encodeBase32768,
+  decodeBase32768,
+  legacyChecksum: calculateLegacyChecksum,
+  compress: compressBytes,
+  decompress: decompressBytes,
+  createLegacyVolumes: null,
+  readLegacyVolumes: volumes => {
+    const transfers = extractAllChunks(volumes.join('\n'));
+    if (transfers.size !== 1) throw new Error(`Expected one transfer, found ${transfers.size}`);
+    const chunks: Chunk[] = transfers.values().next().value!;
+    return assembleTransfer(new Map(chunks.map(c => [c.index, c])));
+  },
+  payloadNoise: ' \n:'
+};
+
+const indexTsx = (() => {
+  const core = loadSection('index.tsx', indexTsxSource, '// --- CONSTANTS & TYPES ---', '// --- COMPONENTS ---',
+    ['encodeBase32768', 'decodeBase32768', 'calculateChecksum', 'compressBytes', 'decompressBytes', 'createVolumes', 'extractChunks']);
+  const build: Build = {
+    name: 'index.tsx',
+    encodeBase32768: core.encodeBase32768,
+    decodeBase32768: core.decodeBase32768,
+    legacyChecksum: core.calculateChecksum,
+    compress: core.compressBytes,
+    decompress: core.decompressBytes,
+    createLegacyVolumes: (type, compressed, maxChars) => core.createVolumes(type, core.encodeBase32768(compressed), maxChars),
+    readLegacyVolumes: volumes => core.decodeBase32768(joinSlices(core.extractChunks(volumes.join('\n')))),
+    payloadNoise: ' \n:'
+  };
+  return build;
+})();
+
+const indexJs = (() => {
+  const core = loadSection('index.js', indexJsSource, '// --- PROTOCOL CORE ---', '// --- COMPONENTS ---',
+    ['encodeBase32768', 'decodeBase32768', 'calculateChecksum', 'compress', 'decompress', 'MAX_CHUNK_SIZE']);
+  // EncodingView and DecodingView frame the volumes inline; these repeat their code as written
+  const build: Build = {
+    name: 'index.js',
+    encodeBase32768: core.encodeBase32768,
+    decodeBase32768: core.decodeBase32768,
+    legacyChecksum: core.calculateChecksum,
+    compress: core.compress,
+    decompress: core.decompress,
+    // Cuts at MAX_CHUNK_SIZE whatever the caller asks for
+    createLegacyVolumes: (type, compressed) => {
+      const encoded: string = core.encodeBase32768(compressed);
+      const volumes: string[] = [];
+      const total = Math.ceil(encoded.length / core.MAX_CHUNK_SIZE);
+      for (let i = 0; i < total; i++) {
+        const payload = encoded.substring(i * core.MAX_CHUNK_SIZE, (i + 1) * core.MAX_CHUNK_SIZE);
+        volumes.push(`GC:${type}:${total}:${i}:${core.calculateChecksum(payload)}:${payload}`);
+      }
+      return volumes;
+    },
+    readLegacyVolumes: volumes => core.decodeBase32768(joinSlices(volumes.map(text => {
+      const parts = text.split('GC:').filter(s => s.trim())[0].split(':');
+      return { index: parseInt(parts[2]), payload: parts[parts.length - 1].trim() };
+    }))),
+    // The payload is whatever follows the last colon, so a colon in it loses the text before
+    payloadNoise: ' \n'
+  };
+  return build;
+})();
+
+export const BUILDS: Build[] = [services, indexTsx, indexJs];
+
+export const LEGACY_WRITERS = BUILDS.filter(b => b.createLegacyVolumes !== null);
+
+export const buildNamed = (name: string): Build => {
+  const build = BUILDS.find(b => b.name === name);
+  if (!build) throw new Error(`Unknown build ${name}`);
+  return build;
+};
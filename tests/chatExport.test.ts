@@ -0,0 +1,112 @@
+/// <reference types="vite/client" />
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toHex } from './harness';
+import { assembleTransfer } from '../services/chunker';
+import { parseChatExport } from '../services/chatExport';
+import { decodeTransfer, extractFromExport } from '../services/protocol';
+import { Chunk, FileMetadata } from '../types';
+import goldenSource from './fixtures/golden.json?raw';
+import whatsappAndroid from './fixtures/exports/whatsapp-android.txt?raw';
+import whatsappIos from './fixtures/exports/whatsapp-ios.txt?raw';
+import signal from './fixtures/exports/signal.txt?raw';
+import telegramJson from './fixtures/exports/telegram-result.json?raw';
+import telegramHtml from './fixtures/exports/telegram-messages.html?raw';
+
+/**
+ * Chat exports as the messengers write them, each carrying golden volumes (see golden.json)
+ * between ordinary messages. Reading one must give back the plain message bodies and every
+ * transfer in it, whatever the messenger did to the volumes on the way.
+ */
+
+interface Carried {
+  name: string;
+  volumes: string[];
+  payload?: string; // v2 vectors: the assembled payload
+  bytes?: string; // Transfer vectors: the decoded file
+  meta?: FileMetadata;
+  passphrase?: string;
+}
+
+interface ExportFixture {
+  file: string;
+  content: string;
+  messages: string[]; // Bodies that must come back verbatim, prefix stripped
+  carries: string[]; // Golden vectors whose transfers must come back complete
+}
+
+const golden: { v2: Carried[]; transfers: Carried[] } = JSON.parse(goldenSource);
+const vectorNamed = (name: string): Carried => [...golden.v2, ...golden.transfers].find(v => v.name === name)!;
+const transferIdOf = (vector: Carried): string => vector.volumes[0].split(':')[1];
+
+const EXPORTS: ExportFixture[] = [
+  {
+    // "12/31/23, 9:41 PM - Name: ", narrow no-break space before PM; one volume split over two
+    // messages, one wrapped over three lines, a prefix-less line continuing the last message
+    file: 'whatsapp-android.txt',
+    content: whatsappAndroid,
+    messages: [
+      'Messages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them. Tap to learn more.',
+      'sending the notes now', 'got it, thanks!', 'Happy new year\nsee you at 10:30 PM'
+    ],
+    carries: ['File with metadata', 'Base32768, no parity']
+  },
+  {
+    // "[31/12/2023, 9:41:05 PM] Name: ", CRLF, U+200E marks around system lines and attachments
+    file: 'whatsapp-ios.txt',
+    content: whatsappIos,
+    messages: ['Parity test, two of these will not arrive', 'Line one\nLine two: still Bob'],
+    carries: ['Base32768, full parity, two data volumes lost']
+  },
+  {
+    // "[31.12.23, 21:41:05] Name: ", 24 hours; Base91 volumes, one wrapped over two lines, one
+    // split over three messages with chatter in between; two volumes lost, so both are needed
+    file: 'signal.txt',
+    content: signal,
+    messages: ['Base91 this time, one volume per message', 'ok, got it!', 'one sec', 'ok'],
+    carries: ['Base91, half parity, one volume lost']
+  },
+  {
+    // result.json: headers formatted as code, so the text is an array of entities and strings
+    file: 'result.json',
+    content: telegramJson,
+    messages: ['three volumes, the headers are formatted as code', 'thanks, and the notes?'],
+    carries: ['Base32768, no parity', 'File with metadata']
+  },
+  {
+    // messages.html: Base91 volumes with &lt; &gt; &amp; escaped, one broken by a <br>
+    file: 'messages.html',
+    content: telegramHtml,
+    messages: ['sealed, passphrase as agreed <the usual>'],
+    carries: ['Sealed with a passphrase, Base91']
+  }
+];
+
+describe('Chat exports', () => {
+  for (const fixture of EXPORTS) {
+    test(`${fixture.file}: message bodies without names and timestamps`, () => {
+      const messages = parseChatExport(fixture.file, fixture.content);
+      for (const message of fixture.messages) assert.ok(messages.includes(message), `"${message}" missing from ${JSON.stringify(messages)}`);
+      assert.ok(!messages.some(m => /^\W*\[?\d{1,4}[./]\d{1,2}[./]\d{1,4},/.test(m)), 'a timestamp prefix was left in');
+    });
+
+    test(`${fixture.file}: every transfer comes back complete`, async () => {
+      const transfers = extractFromExport(fixture.file, fixture.content);
+      assert.deepEqual([...transfers.keys()].sort(), fixture.carries.map(name => transferIdOf(vectorNamed(name))).sort());
+
+      for (const name of fixture.carries) {
+        const vector = vectorNamed(name);
+        const volumes = new Map<number, Chunk>(transfers.get(transferIdOf(vector))!.map(c => [c.index, c]));
+        if (vector.payload) {
+          assert.equal(toHex(assembleTransfer(volumes)), vector.payload, name);
+        } else {
+          const { meta, bytes, verified } = await decodeTransfer(volumes, vector.passphrase);
+          assert.deepEqual(meta, vector.meta, name);
+          assert.equal(toHex(bytes), vector.bytes, name);
+          assert.equal(verified, true, name);
+        }
+      }
+    });
+  }
+});
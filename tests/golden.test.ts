@@ -0,0 +1,114 @@
+/// <reference types="vite/client" />
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILDS, buildNamed } from './builds';
+import { fromHex, toHex } from './harness';
+import { calculateChecksum } from '../services/encoding';
+import { createVolumes, extractAllChunks, assembleTransfer, createResendRequest, extractResendRequests } from '../services/chunker';
+import { decodeTransfer } from '../services/protocol';
+import { Alphabet, Chunk, FileMetadata, MediaType } from '../types';
+import goldenSource from './fixtures/golden.json?raw';
+
+/**
+ * Golden vectors: volumes and encodings as the wire format defines them. Every build must
+ * still write them byte for byte and read them back. A failure here means an implementation
+ * drifted; the fixture only changes together with a deliberate, versioned format change.
+ */
+
+interface Golden {
+  base32768: { bytes: string; text: string }[];
+  checksums: { text: string; crc32: string; legacy: string }[];
+  v1: { name: string; build: string; type: string; maxChars: number; bytes: string; compressed: string; volumes: string[] }[];
+  v2: { name: string; type: MediaType; transferId: string; alphabet: Alphabet; maxChars: number; redundancy: number; payload: string; lost: number[]; volumes: string[] }[];
+  transfers: { name: string; passphrase?: string; alphabet: Alphabet; meta: FileMetadata; bytes: string; volumes: string[] }[];
+  resendRequests: { transferId: string; indices: number[]; text: string }[];
+}
+
+const golden: Golden = JSON.parse(goldenSource);
+
+// Volumes as pasted from a chat thread. Timestamps and names in between only survive with
+// Base32768: Base91 shares their characters, so its volumes come one per line
+const asThread = (volumes: string[], alphabet: Alphabet): string => alphabet === Alphabet.BASE91
+  ? volumes.join('\n')
+  : volumes.map((v, i) => `[12:0${i % 10}] Alice: ${v}`).join('\n');
+
+const singleTransfer = (text: string): Map<number, Chunk> => {
+  const transfers = extractAllChunks(text);
+  assert.equal(transfers.size, 1, 'volumes should form exactly one transfer');
+  return new Map(transfers.values().next().value!.map(c => [c.index, c]));
+};
+
+describe('Base32768', () => {
+  for (const build of BUILDS) {
+    test(`${build.name} encodes and decodes the golden vectors`, () => {
+      for (const { bytes, text } of golden.base32768) {
+        assert.equal(build.encodeBase32768(fromHex(bytes)), text, `encoding of "${bytes}"`);
+        assert.equal(toHex(build.decodeBase32768(text)), bytes, `decoding of "${text}"`);
+      }
+    });
+  }
+});
+
+describe('Checksums', () => {
+  test('v2 volumes carry CRC32 as 8 uppercase hex digits', () => {
+    for (const { text, crc32 } of golden.checksums) assert.equal(calculateChecksum(text), crc32, `CRC32 of "${text}"`);
+  });
+
+  for (const build of BUILDS) {
+    test(`${build.name} computes the v1 checksum`, () => {
+      for (const { text, legacy } of golden.checksums) assert.equal(build.legacyChecksum(text), legacy, `checksum of "${text}"`);
+    });
+  }
+});
+
+describe('v1 volumes', () => {
+  for (const vector of golden.v1) {
+    test(`${vector.name}: written byte for byte`, () => {
+      const writer = buildNamed(vector.build);
+      assert.deepEqual(writer.createLegacyVolumes!(vector.type, fromHex(vector.compressed), vector.maxChars), vector.volumes);
+    });
+
+    for (const reader of BUILDS) {
+      test(`${vector.name}: read by ${reader.name}`, async () => {
+        const compressed = reader.readLegacyVolumes(vector.volumes);
+        assert.equal(toHex(compressed), vector.compressed);
+        assert.equal(toHex(await reader.decompress(compressed)), vector.bytes);
+      });
+    }
+  }
+});
+
+describe('v2 volumes', () => {
+  for (const vector of golden.v2) {
+    test(`${vector.name}: written byte for byte`, async () => {
+      const { transferId, alphabet, redundancy } = vector;
+      assert.deepEqual(await createVolumes(vector.type, fromHex(vector.payload), vector.maxChars, { transferId, alphabet, redundancy }), vector.volumes);
+    });
+
+    test(`${vector.name}: read back from a chat thread`, () => {
+      const received = vector.volumes.filter((_, i) => !vector.lost.includes(i));
+      assert.equal(toHex(assembleTransfer(singleTransfer(asThread(received, vector.alphabet)))), vector.payload);
+    });
+  }
+});
+
+describe('Transfers', () => {
+  for (const vector of golden.transfers) {
+    test(`${vector.name}: decoded with metadata and SHA-256 check`, async () => {
+      const { meta, bytes, verified } = await decodeTransfer(singleTransfer(asThread(vector.volumes, vector.alphabet)), vector.passphrase);
+      assert.deepEqual(meta, vector.meta);
+      assert.equal(toHex(bytes), vector.bytes);
+      assert.equal(verified, true);
+    });
+  }
+});
+
+describe('Resend requests', () => {
+  for (const vector of golden.resendRequests) {
+    test(`${vector.text}: written and read`, () => {
+      assert.equal(createResendRequest(vector.transferId, vector.indices), vector.text);
+      assert.deepEqual(extractResendRequests(`please resend ${vector.text} thanks`), [{ transferId: vector.transferId, indices: vector.indices }]);
+    });
+  }
+});
@@ -0,0 +1,78 @@
+/**
+ * Helpers for the conformance suite: hex for the golden fixtures, and seeded randomness
+ * for the property tests. Every run derives its seed from GHOSTCOMM_SEED (default below),
+ * so failures replay exactly; set it to something else to explore new cases.
+ */
+
+const DEFAULT_SEED = 0x6C2;
+
+export const toHex = (bytes: Uint8Array): string => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+export const fromHex = (hex: string): Uint8Array => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  return bytes;
+};
+
+export const utf8 = (text: string): Uint8Array => new TextEncoder().encode(text);
+
+export interface Random {
+  int: (max: number) => number; // 0 <= n < max
+  bytes: (length: number) => Uint8Array;
+  pick: <T>(items: readonly T[]) => T;
+  text: (length: number, alphabet: string) => string;
+  shuffle: <T>(items: T[]) => T[];
+}
+
+// mulberry32: small, fast and good enough to pick test cases
+export const createRandom = (seed: number): Random => {
+  let state = seed >>> 0;
+  const next = (): number => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (max: number) => Math.floor(next() * max);
+  return {
+    int,
+    bytes: length => Uint8Array.from({ length }, () => int(256)),
+    pick: items => items[int(items.length)],
+    text: (length, alphabet) => Array.from({ length }, () => alphabet[int(alphabet.length)]).join(''),
+    shuffle: items => {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = int(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+      return items;
+    }
+  };
+};
+
+/**
+ * Runs `check` `runs` times, each with its own seeded Random.
+ */
+export const forAll = async (runs: number, check: (random: Random, run: number) => void | Promise<void>): Promise<void> => {
+  const base = process.env.GHOSTCOMM_SEED ? parseInt(process.env.GHOSTCOMM_SEED) : DEFAULT_SEED;
+  for (let run = 0; run < runs; run++) {
+    const seed = (base + run * 0x9E3779B9) >>> 0;
+    try {
+      await check(createRandom(seed), run);
+    } catch (e: any) {
+      throw new Error(`Run ${run} failed, replay with GHOSTCOMM_SEED=${base}: ${e.message}`, { cause: e });
+    }
+  }
+};
+
+/**
+ * Scatters `noise` characters through the text, as messengers do with line breaks and names.
+ */
+export const sprinkle = (random: Random, text: string, noise: string, count: number): string => {
+  let out = text;
+  for (let i = 0; i < count; i++) {
+    const at = random.int(out.length + 1);
+    out = out.substring(0, at) + random.pick(noise.split('')) + out.substring(at);
+  }
+  return out;
+};
@@ -0,0 +1,343 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILDS, LEGACY_WRITERS } from './builds';
+import { forAll, sprinkle, toHex, utf8, Random } from './harness';
+import { calculateChecksum, crc32, encodeBase32768 } from '../services/encoding';
+import { encodeBase91, decodeBase91, isBase91Char } from '../services/base91';
+import { createTransferId, createVolumes, estimateVolumeCount, extractAllChunks, extractFromMessages, assembleTransfer, missingVolumes } from '../services/chunker';
+import { encodeTransfer, decodeTransfer, createIdentity, mediaCapacity, payloadBound } from '../services/protocol';
+import { safeName } from '../services/metadata';
+import { packBundle, unpackBundle, BundleEntry, BUNDLE_ERROR, MAX_BUNDLE_ITEMS } from '../services/bundle';
+import { Alphabet, Chunk, FileMetadata, MediaType } from '../types';
+
+/**
+ * Round-trip properties over seeded random inputs (see harness.ts for replaying a failure):
+ * the codecs, the checksums, the chunker and the decoder, received file names and bundles,
+ * and v1 volumes across all builds. Chat exports and QR codes have suites of their own.
+ */
+
+const CJK_START = 0x4E00;
+const CJK_END = 0x4E00 + 32768;
+
+// Characters messengers put around and inside pasted volumes. None belong to Base32768;
+// Base91 only tolerates whitespace
+const CHAT_NOISE = ' \n:x🙂';
+const WHITESPACE = ' \n';
+
+// Mostly short inputs, where the 15-bit and 13-bit boundaries are, and now and then a long one
+const randomLength = (random: Random): number => random.int(10) === 0 ? random.int(5000) : random.int(48);
+
+// Any Unicode text: ASCII, colons, CJK, surrogate pairs
+const randomText = (random: Random, length: number): string =>
+  Array.from({ length }, () => random.pick([
+    () => String.fromCharCode(32 + random.int(95)),
+    () => ':',
+    () => String.fromCharCode(CJK_START + random.int(CJK_END - CJK_START)),
+    () => String.fromCodePoint(0x1F300 + random.int(0x300))
+  ])()).join('');
+
+const MEDIA_TYPES = [MediaType.IMAGE, MediaType.AUDIO, MediaType.VIDEO, MediaType.FILE, MediaType.BUNDLE];
+const ALPHABETS = [Alphabet.BASE32768, Alphabet.BASE91];
+const REDUNDANCIES = [0, 0, 0.25, 0.5, 1];
+
+const groupOf = (chunks: Map<string, Chunk[]>): Map<number, Chunk> => {
+  assert.equal(chunks.size, 1, 'volumes should form exactly one transfer');
+  return new Map(chunks.values().next().value!.map(c => [c.index, c]));
+};
+
+// Volumes pasted in any order, with the chatter the alphabet survives
+const pasteVolumes = (random: Random, volumes: string[], alphabet: Alphabet): string =>
+  random.shuffle([...volumes]).map(v => alphabet === Alphabet.BASE91 ? v : `Alice: ${v}`).join('\n');
+
+// Header end of a v1 volume: GC:TYPE:TOTAL:INDEX:CHECKSUM:
+const legacyHeaderLength = (volume: string): number => {
+  let at = 0;
+  for (let i = 0; i < 5; i++) at = volume.indexOf(':', at) + 1;
+  return at;
+};
+
+// Bit by bit, to check the table-driven crc32 against the definition
+const referenceCrc32 = (data: Uint8Array): number => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (crc & 1 ? 0xEDB88320 : 0);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+describe('Base32768', () => {
+  for (const build of BUILDS) {
+    test(`${build.name}: decode(encode(x)) = x, 15 bits per character`, () => forAll(300, random => {
+      const data = random.bytes(randomLength(random));
+      const text = build.encodeBase32768(data);
+      assert.equal(text.length, Math.ceil((data.length + 4) * 8 / 15));
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        assert.ok(code >= CJK_START && code < CJK_END, `character ${code.toString(16)} outside the alphabet`);
+      }
+      assert.equal(toHex(build.decodeBase32768(text)), toHex(data));
+    }));
+
+    test(`${build.name}: writes what services/ writes`, () => forAll(100, random => {
+      const data = random.bytes(randomLength(random));
+      assert.equal(build.encodeBase32768(data), encodeBase32768(data));
+    }));
+
+    test(`${build.name}: skips everything outside the alphabet, colons included`, () => forAll(100, random => {
+      const data = random.bytes(randomLength(random));
+      const noisy = sprinkle(random, build.encodeBase32768(data), CHAT_NOISE, 1 + random.int(20));
+      assert.equal(toHex(build.decodeBase32768(noisy)), toHex(data));
+    }));
+
+    test(`${build.name}: a cut-off text decodes to a prefix, never to other bytes`, () => forAll(100, random => {
+      const data = random.bytes(randomLength(random));
+      const text = build.encodeBase32768(data);
+      const decoded = toHex(build.decodeBase32768(text.substring(0, random.int(text.length))));
+      assert.ok(toHex(data).startsWith(decoded), 'decoded bytes are not a prefix of the input');
+    }));
+  }
+});
+
+describe('Base91', () => {
+  test('decode(encode(x)) = x, alphabet characters only', () => forAll(300, random => {
+    const data = random.bytes(randomLength(random));
+    const text = encodeBase91(data);
+    assert.ok(Array.from(text).every(isBase91Char), 'character outside the alphabet');
+    assert.equal(toHex(decodeBase91(text)), toHex(data));
+  }));
+
+  test('skips whitespace', () => forAll(100, random => {
+    const data = random.bytes(randomLength(random));
+    assert.equal(toHex(decodeBase91(sprinkle(random, encodeBase91(data), WHITESPACE, 1 + random.int(20)))), toHex(data));
+  }));
+});
+
+describe('Checksums', () => {
+  test('CRC32 matches its bitwise definition, as 8 uppercase hex digits', () => forAll(200, random => {
+    const text = randomText(random, random.int(200));
+    const bytes = new TextEncoder().encode(text);
+    assert.equal(crc32(bytes), referenceCrc32(bytes));
+    assert.match(calculateChecksum(text), /^[0-9A-F]{8}$/);
+  }));
+
+  test('v1 checksum is the same in every build and fits the v1 header', () => forAll(200, random => {
+    const text = randomText(random, random.int(200));
+    const expected = BUILDS[0].legacyChecksum(text);
+    assert.match(expected, /^[0-9A-Z]{1,4}$/);
+    for (const build of BUILDS) assert.equal(build.legacyChecksum(text), expected, build.name);
+  }));
+});
+
+describe('Chunker', () => {
+  test('transfer IDs are six base36 digits, each digit drawn about equally often', () => {
+    const counts = new Map<string, number>();
+    for (let i = 0; i < 20000; i++) {
+      const id = createTransferId();
+      assert.match(id, /^[0-9A-Z]{6}$/);
+      for (const digit of id) counts.set(digit, (counts.get(digit) ?? 0) + 1);
+    }
+    // About 3333 draws per digit, give or take 5 standard deviations; `b % 36` over all bytes
+    // drew 0-3 about 3750 times each
+    assert.equal(counts.size, 36);
+    for (const [digit, count] of counts) assert.ok(count > 3050 && count < 3620, `${digit} drawn ${count} times`);
+  });
+
+  test('volumes fit the limit, match the estimate and rebuild from any `total` of them', () => forAll(60, async random => {
+    const payload = random.bytes(random.int(3000));
+    const alphabet = random.pick(ALPHABETS);
+    const redundancy = random.pick(REDUNDANCIES);
+    const maxChars = 200 + random.int(1500);
+    const volumes = await createVolumes(random.pick(MEDIA_TYPES), payload, maxChars, { alphabet, redundancy });
+
+    assert.equal(volumes.length, estimateVolumeCount(payload.length, maxChars, redundancy, alphabet));
+    for (const volume of volumes) assert.ok(volume.length <= maxChars, `volume of ${volume.length} characters over ${maxChars}`);
+
+    const first = groupOf(extractAllChunks(volumes[0])).get(0)!;
+    const lost = random.shuffle(volumes.map((_, i) => i)).slice(0, random.int(first.parity + 1));
+    const received = volumes.filter((_, i) => !lost.includes(i));
+    assert.equal(toHex(assembleTransfer(groupOf(extractAllChunks(pasteVolumes(random, received, alphabet))))), toHex(payload));
+  }));
+
+  test('missing data volumes are reported exactly', () => forAll(40, async random => {
+    const volumes = await createVolumes(MediaType.FILE, random.bytes(500 + random.int(3000)), 300, { alphabet: random.pick(ALPHABETS) });
+    const lost = random.shuffle(volumes.map((_, i) => i)).slice(0, 1 + random.int(volumes.length - 1)).sort((a, b) => a - b);
+    const received = volumes.filter((_, i) => !lost.includes(i));
+    assert.deepEqual(missingVolumes(groupOf(extractAllChunks(received.join('\n')))), lost);
+  }));
+
+  test('volumes split over several messages are joined back', () => forAll(40, async random => {
+    const payload = random.bytes(random.int(3000));
+    const alphabet = random.pick(ALPHABETS);
+    const volumes = await createVolumes(MediaType.FILE, payload, 600 + random.int(1000), { alphabet });
+    const messages: string[] = [];
+    for (const volume of volumes) {
+      // Cuts fall after the header, as with a messenger's length limit
+      let at = 0;
+      while (at < volume.length) {
+        const end = at === 0 ? 120 + random.int(volume.length) : at + 20 + random.int(400);
+        messages.push(volume.substring(at, end));
+        at = end;
+      }
+      if (random.int(2) === 0) messages.push('ok, next one');
+    }
+    assert.equal(toHex(assembleTransfer(groupOf(extractFromMessages(messages)))), toHex(payload));
+  }));
+});
+
+describe('Decoder', () => {
+  const randomMeta = (random: Random, size: number): FileMetadata => ({
+    name: `${randomText(random, 1 + random.int(20))}.bin`,
+    mime: random.pick(['application/octet-stream', 'image/webp', 'text/plain', 'audio/webm']),
+    size
+  });
+
+  test('decodeTransfer(encodeTransfer(x)) = x, with metadata and a verified digest', () => forAll(30, async random => {
+    const bytes = random.bytes(randomLength(random) * 3);
+    const meta = randomMeta(random, bytes.length);
+    const type = random.pick(MEDIA_TYPES);
+    const alphabet = random.pick(ALPHABETS);
+    const { volumes } = await encodeTransfer(type, bytes, meta, 300 + random.int(4000), { alphabet, redundancy: random.pick(REDUNDANCIES) });
+
+    const decoded = await decodeTransfer(groupOf(extractAllChunks(pasteVolumes(random, volumes, alphabet))));
+    assert.equal(decoded.type, type);
+    assert.deepEqual(decoded.meta, { ...meta, name: safeName(meta.name) });
+    assert.equal(toHex(decoded.bytes), toHex(bytes));
+    assert.equal(decoded.verified, true);
+  }));
+
+  test('sealed transfers open with the passphrase only', () => forAll(2, async random => {
+    const bytes = random.bytes(random.int(2000));
+    const meta = randomMeta(random, bytes.length);
+    const passphrase = randomText(random, 8 + random.int(16));
+    const { volumes } = await encodeTransfer(MediaType.FILE, bytes, meta, 2000, { passphrase });
+    const received = groupOf(extractAllChunks(volumes.join('\n')));
+
+    await assert.rejects(decodeTransfer(received));
+    await assert.rejects(decodeTransfer(received, `${passphrase}!`));
+    assert.equal(toHex((await decodeTransfer(received, passphrase)).bytes), toHex(bytes));
+  }));
+
+  test('random media sized by mediaCapacity fits once wrapped, deflated and sealed', async () => {
+    const recipient = await createIdentity('Bob');
+    return forAll(12, async random => {
+      const capacity = 1024 + (random.int(10) === 0 ? random.int(200000) : random.int(20000));
+      const seals = {
+        passphrase: random.int(4) === 0 ? randomText(random, 8) : undefined,
+        recipientKey: random.int(2) === 0 ? recipient.agreementKey : undefined
+      };
+      const envelope = randomMeta(random, capacity);
+      const bytes = random.bytes(mediaCapacity(capacity, envelope, seals));
+      const meta = { ...envelope, size: bytes.length };
+      const { payload } = await encodeTransfer(MediaType.IMAGE, bytes, meta, 8000, seals);
+      assert.ok(payload.length <= payloadBound(bytes.length, meta, seals), `payload of ${payload.length} bytes over its bound`);
+      assert.ok(payload.length <= capacity, `payload of ${payload.length} bytes over a capacity of ${capacity}`);
+    });
+  });
+
+  test('a mangled volume is dropped, never misread', t => {
+    t.mock.method(console, 'warn', () => {}); // Checksum mismatches are expected here
+    return forAll(40, async random => {
+      const bytes = random.bytes(200 + random.int(2000));
+      const alphabet = random.pick(ALPHABETS);
+      const { volumes } = await encodeTransfer(MediaType.FILE, bytes, randomMeta(random, bytes.length), 400, { alphabet });
+
+      // One payload character swapped for another of the same alphabet
+      const target = random.int(volumes.length);
+      const volume = volumes[target];
+      const payloadLength = groupOf(extractAllChunks(volume)).get(target)!.payload.length;
+      const at = volume.length - 1 - random.int(Math.min(20, payloadLength));
+      const original = volume.charCodeAt(at);
+      const replacement = alphabet === Alphabet.BASE91
+        ? encodeBase91(Uint8Array.of(random.int(256)))[0]
+        : String.fromCharCode(CJK_START + ((original - CJK_START + 1 + random.int(1000)) % (CJK_END - CJK_START)));
+      if (replacement.charCodeAt(0) === original) return;
+      const mangled = volumes.map((v, i) => i === target ? v.substring(0, at) + replacement + v.substring(at + 1) : v);
+
+      const chunks = extractAllChunks(mangled.join('\n'));
+      const received = chunks.size === 0 ? new Map<number, Chunk>() : groupOf(chunks);
+      assert.equal(received.has(target), false, 'mangled volume passed its checksum');
+      await assert.rejects(decodeTransfer(received));
+    });
+  });
+});
+
+describe('Metadata', () => {
+  test('safeName keeps a received name inside the download folder', () => forAll(200, random => {
+    const name = random.int(4) === 0 ? random.text(random.int(4), '. ') : randomText(random, random.int(300)) + random.text(random.int(4), '/\\.');
+    const safe = safeName(name);
+    assert.ok(safe.length > 0 && safe.length <= 200, `"${safe}" is empty or too long`);
+    assert.ok(!/[\\/]/.test(safe), `"${safe}" keeps a path separator`);
+    assert.ok(!/^\.*$/.test(safe.trim()), `"${safe}" names the folder or its parent`);
+  }));
+});
+
+describe('Bundles', () => {
+  const randomEntry = (random: Random): BundleEntry => {
+    const bytes = random.bytes(random.int(4) === 0 ? 0 : random.int(3000));
+    return { type: random.pick(MEDIA_TYPES), meta: { name: randomText(random, random.int(30)), mime: 'application/octet-stream', size: bytes.length }, bytes };
+  };
+
+  // A bundle with any index at all, as a damaged or hostile transfer could carry
+  const rawBundle = (index: unknown, body: Uint8Array): Uint8Array => {
+    const json = utf8(JSON.stringify(index));
+    const out = new Uint8Array(8 + json.length + body.length);
+    out.set(utf8('GCB1'));
+    new DataView(out.buffer).setUint32(4, json.length);
+    out.set(json, 8);
+    out.set(body, 8 + json.length);
+    return out;
+  };
+
+  test('unpackBundle(packBundle(x)) = x, with safe names and no nested bundles', () => forAll(60, random => {
+    const entries = Array.from({ length: 1 + random.int(8) }, () => randomEntry(random));
+    const unpacked = unpackBundle(packBundle(entries));
+    assert.equal(unpacked.length, entries.length);
+    unpacked.forEach((entry, i) => {
+      assert.equal(entry.type, entries[i].type === MediaType.BUNDLE ? MediaType.FILE : entries[i].type);
+      assert.deepEqual(entry.meta, { ...entries[i].meta, name: safeName(entries[i].meta.name) });
+      assert.equal(toHex(entry.bytes), toHex(entries[i].bytes));
+    });
+  }));
+
+  test('a cut-off bundle is refused, never read short', () => forAll(60, random => {
+    const packed = packBundle(Array.from({ length: 1 + random.int(4) }, () => randomEntry(random)).filter(e => e.bytes.length > 0));
+    assert.throws(() => unpackBundle(packed.subarray(0, random.int(packed.length))), { message: BUNDLE_ERROR });
+  }));
+
+  test('an index that does not match the items is refused', () => forAll(60, random => {
+    const body = random.bytes(random.int(100));
+    const entry = { name: 'a.bin', mime: 'application/octet-stream', type: MediaType.FILE };
+    const damaged = random.pick([
+      () => rawBundle([{ ...entry, size: body.length + 1 + random.int(100) }], body),
+      () => rawBundle([{ ...entry, size: body.length }, { ...entry, size: 1 }], body),
+      () => rawBundle([{ ...entry, size: -1 - random.int(100) }], body),
+      () => rawBundle([{ ...entry, size: 0.5 }], body),
+      () => rawBundle([{ ...entry, name: 7, size: 0 }], body),
+      () => rawBundle([{ ...entry, mime: null, size: 0 }], body),
+      () => rawBundle({ ...entry, size: body.length }, body),
+      () => rawBundle(Array.from({ length: MAX_BUNDLE_ITEMS + 1 }, () => ({ ...entry, size: 0 })), body),
+      // Index length pointing past the end
+      () => { const raw = rawBundle([], body); new DataView(raw.buffer).setUint32(4, raw.length); return raw; }
+    ])();
+    assert.throws(() => unpackBundle(damaged), { message: BUNDLE_ERROR });
+  }));
+});
+
+describe('v1 across builds', () => {
+  for (const writer of LEGACY_WRITERS) {
+    for (const reader of BUILDS) {
+      test(`${writer.name} volumes, read by ${reader.name} through chat noise`, () => forAll(20, async (random, run) => {
+        // index.js cuts at 15000 characters: one run large enough for several volumes
+        const bytes = random.bytes(run === 0 ? 40000 : randomLength(random) * 10);
+        const compressed = await writer.compress(bytes);
+        const volumes = writer.createLegacyVolumes!(random.pick(MEDIA_TYPES), compressed, 100 + random.int(15000)).map(volume => {
+          const header = legacyHeaderLength(volume);
+          return volume.substring(0, header) + sprinkle(random, volume.substring(header), reader.payloadNoise, random.int(10));
+        });
+        const read = reader.readLegacyVolumes(random.shuffle(volumes));
+        assert.equal(toHex(await reader.decompress(read)), toHex(bytes));
+      }));
+    }
+  }
+});
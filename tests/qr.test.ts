@@ -0,0 +1,133 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forAll, toHex, Random } from './harness';
+import { encodeBase91 } from '../services/base91';
+import { createVolumes, extractAllChunks, assembleTransfer } from '../services/chunker';
+import { encodeQr, decodeModules, byteCapacity, EcLevel, QrCode, MIN_VERSION } from '../services/qr';
+import { scanQrCodes, ScanImage } from '../services/qrScan';
+import { Alphabet, Chunk, MediaType, QR_VOLUME_CHARS } from '../types';
+
+/**
+ * The QR transport: codes written by encodeQr read back module by module, and volumes drawn
+ * as codes into one picture (the way a screenshot or a photo of the screen holds them)
+ * found and read by the scanner, then rebuilt into the transfer.
+ */
+
+const EC_LEVELS: EcLevel[] = ['L', 'M', 'Q', 'H'];
+const QUIET_ZONE = 4;
+
+// Base91 volumes, plain ASCII and multi-byte UTF-8
+const randomContent = (random: Random, maxBytes: number): string => random.pick([
+  () => encodeBase91(random.bytes(Math.floor(maxBytes * 0.8))).substring(0, maxBytes),
+  () => random.text(maxBytes, 'abcdefghijklmnopqrstuvwxyz ABC:0123456789'),
+  () => Array.from({ length: Math.floor(maxBytes / 4) }, () => random.pick(['ä', 'ß', '€', '🙂', '界'])).join('')
+])();
+
+const readBack = (code: QrCode, flipped = new Set<number>()): string | null =>
+  decodeModules(code.version, (x, y) => (code.modules[y * code.size + x] === 1) !== flipped.has(y * code.size + x));
+
+interface Placed {
+  code: QrCode;
+  left: number;
+  top: number;
+}
+
+// Codes drawn dark on light paper, `scale` pixels a module, turned by `quarterTurns` and with
+// every pixel off by up to `noise` levels
+const render = (placed: Placed[], scale: number, quarterTurns: number, noise: number, random: Random): ScanImage => {
+  const extent = (p: Placed) => (p.code.size + 2 * QUIET_ZONE) * scale;
+  const side = Math.max(...placed.map(p => Math.max(p.left, p.top) + extent(p)));
+  const pixels = new Uint8Array(side * side).fill(235);
+  for (const { code, left, top } of placed) {
+    for (let y = 0; y < code.size; y++) {
+      for (let x = 0; x < code.size; x++) {
+        if (!code.modules[y * code.size + x]) continue;
+        for (let dy = 0; dy < scale; dy++) {
+          const row = (top + (y + QUIET_ZONE) * scale + dy) * side;
+          pixels.fill(25, row + left + (x + QUIET_ZONE) * scale, row + left + (x + QUIET_ZONE + 1) * scale);
+        }
+      }
+    }
+  }
+  const data = new Uint8ClampedArray(side * side * 4);
+  for (let y = 0; y < side; y++) {
+    for (let x = 0; x < side; x++) {
+      // Source pixel of (x, y) after turning the picture clockwise
+      let [sx, sy] = [x, y];
+      for (let t = 0; t < quarterTurns; t++) [sx, sy] = [sy, side - 1 - sx];
+      const level = pixels[sy * side + sx] + random.int(2 * noise + 1) - noise;
+      data.set([level, level, level, 255], (y * side + x) * 4);
+    }
+  }
+  return { data, width: side, height: side };
+};
+
+describe('QR codes', () => {
+  test('decodeModules(encodeQr(x)) = x at every level, in the smallest version that holds x', () => forAll(60, random => {
+    const ecl = random.pick(EC_LEVELS);
+    const text = randomContent(random, 1 + random.int(byteCapacity(1 + random.int(12), ecl)));
+    const code = encodeQr(text, ecl);
+    const length = new TextEncoder().encode(text).length;
+
+    assert.equal(readBack(code), text);
+    assert.ok(byteCapacity(code.version, ecl) >= length);
+    assert.ok(code.version === MIN_VERSION || byteCapacity(code.version - 1, ecl) < length, `version ${code.version} is larger than needed`);
+  }));
+
+  test('bytes come back as Latin-1 when they are not UTF-8', () => forAll(20, random => {
+    // 0xFF never occurs in UTF-8
+    const bytes = Uint8Array.from({ length: 1 + random.int(60) }, (_, i) => i === 0 ? 0xFF : 0x80 + random.int(0x80));
+    const text = readBack(encodeQr(bytes));
+    assert.equal(text, String.fromCharCode(...bytes));
+  }));
+
+  test('a few misread modules are corrected', () => forAll(60, random => {
+    const text = randomContent(random, 1 + random.int(200));
+    const code = encodeQr(text, random.pick(EC_LEVELS));
+    // Every level corrects at least three codewords per block; three modules touch at most three
+    const flipped = new Set(Array.from({ length: 1 + random.int(3) }, () => random.int(code.modules.length)));
+    assert.equal(readBack(code, flipped), text);
+  }));
+
+  test('text too long for version 40 is refused', () => {
+    assert.throws(() => encodeQr('x'.repeat(byteCapacity(40, 'H') + 1), 'H'), /at most/);
+  });
+});
+
+describe('QR scanning', () => {
+  test('volumes drawn as codes are read from one picture and rebuild the transfer', () => forAll(6, async random => {
+    const payload = random.bytes(300 + random.int(700));
+    const volumes = await createVolumes(MediaType.FILE, payload, QR_VOLUME_CHARS, { alphabet: Alphabet.BASE91, redundancy: random.pick([0, 0.5]) });
+    const shown = random.shuffle([...volumes]).slice(0, 3);
+
+    // Side by side with some space between them, as a grid of codes on a screen
+    const scale = 2 + random.int(3);
+    let left = random.int(20);
+    const placed = shown.map(text => {
+      const code = encodeQr(text);
+      const item = { code, left, top: random.int(30) };
+      left += (code.size + 2 * QUIET_ZONE) * scale + random.int(20);
+      return item;
+    });
+    const image = render(placed, scale, random.int(4), 30, random);
+
+    assert.deepEqual(scanQrCodes(image).sort(), [...shown].sort());
+  }));
+
+  test('every volume of a transfer, scanned code by code, rebuilds it', () => forAll(3, async random => {
+    const payload = random.bytes(200 + random.int(2000));
+    const volumes = await createVolumes(MediaType.FILE, payload, QR_VOLUME_CHARS, { alphabet: Alphabet.BASE91 });
+    const scanned = volumes.flatMap(text => scanQrCodes(render([{ code: encodeQr(text), left: 0, top: 0 }], 3, random.int(4), 20, random)));
+
+    const transfers = extractAllChunks(scanned.join('\n'));
+    assert.equal(transfers.size, 1);
+    const chunks: Chunk[] = transfers.values().next().value!;
+    assert.equal(toHex(assembleTransfer(new Map(chunks.map(c => [c.index, c])))), toHex(payload));
+  }));
+
+  test('a picture without codes gives nothing', () => forAll(5, random => {
+    const side = 64 + random.int(200);
+    const data = new Uint8ClampedArray(side * side * 4).map((_, i) => i % 4 === 3 ? 255 : random.int(256));
+    assert.deepEqual(scanQrCodes({ data, width: side, height: side }), []);
+  }));
+});
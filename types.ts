@@ -2,17 +2,90 @@
 export enum MediaType {
   IMAGE = 'I',
   AUDIO = 'A',
-  VIDEO = 'V'
+  VIDEO = 'V',
+  FILE = 'F',  // Arbitrary bytes, sent untouched
+  BUNDLE = 'B' // Several items in one container, see bundle.ts
+}
+
+// Embedded in the payload of every v2 transfer
+export interface FileMetadata {
+  name: string;
+  mime: string;
+  size: number;
+  expiresAt?: number; // Set by the sender (ms since epoch); receivers stop showing the transfer after it
+  viewOnce?: boolean; // Shown once, never stored or offered for download
+}
+
+// Text alphabet of the volume payloads, flagged in the v2 header
+export enum Alphabet {
+  BASE32768 = 'B32K', // CJK, 15 bits per char
+  BASE91 = 'B91'      // Printable ASCII, ~6.5 bits per char
 }
 
 export interface Chunk {
+  version: 1 | 2;
+  transferId: string;
   type: MediaType;
-  total: number;
+  alphabet: Alphabet;
+  total: number;   // Data volumes needed to rebuild the transfer
+  parity: number;  // Extra erasure-coded volumes (v2 only)
   index: number;
   checksum: string;
+  digest?: string; // SHA-256 of the whole payload, on the first and parity volumes
   payload: string;
 }
 
+// Partial transfers being collected, keyed by transfer ID then volume index
+export type TransferMap = Map<string, Map<number, Chunk>>;
+
+// Decoder-to-sender control message: "please send these volume indices again"
+export interface ResendRequest {
+  transferId: string;
+  indices: number[];
+}
+
+// This device's keys; the private halves are non-extractable CryptoKeys
+export interface Identity {
+  name: string;
+  signing: CryptoKeyPair;   // ECDSA P-256
+  agreement: CryptoKeyPair; // ECDH P-256, for transfers encrypted to us
+  signingKey: string;       // Public keys, raw and base64url, as they appear on the card
+  agreementKey: string;
+  createdAt: number;
+}
+
+// Someone whose contact card was pasted in
+export interface Contact {
+  name: string;
+  signingKey: string;
+  agreementKey: string;
+  fingerprint: string; // Short hash of the signing key, for comparing out of band
+  addedAt: number;
+}
+
+// Sender signature over a transfer digest, sent as a control message after the volumes
+export interface TransferSignature {
+  transferId: string;
+  signingKey: string;
+  signature: string;
+}
+
+export type SignerStatus = 'contact' | 'self' | 'unknown' | 'invalid';
+
+export interface SignerInfo {
+  status: SignerStatus;
+  name?: string; // Contact or own name
+  fingerprint: string;
+}
+
+// Volumes the sender produced recently, kept so resend requests can be answered
+export interface RecentResult {
+  transferId: string;
+  name: string;
+  volumes: string[];
+  createdAt: number;
+}
+
 export interface ProcessingState {
   isProcessing: boolean;
   progress: number;
@@ -21,9 +94,39 @@ export interface ProcessingState {
 }
 
 export interface DecodedMedia {
+  transferId: string;
   type: MediaType;
   dataUrl: string;
   size: number;
+  name: string;
+  mime: string;
+  textPreview?: string; // First part of text documents, for inline display
+  verified: boolean; // Whole-payload SHA-256 matched
+  entries?: DecodedMedia[]; // Items of a bundle, each with its own object URL
+  digest?: string; // Announced SHA-256, what a sender signature covers
+  expiresAt?: number;
+  viewOnce?: boolean;
+}
+
+// Decoded transfer as kept in the inbox; the object URL is recreated from the bytes on load
+export interface InboxItem {
+  transferId: string;
+  type: MediaType;
+  name: string;
+  mime: string;
+  size: number;
+  verified: boolean;
+  receivedAt: number;
+  bytes: Uint8Array;
+  digest?: string; // Announced SHA-256, absent for v1 transfers
+  expiresAt?: number; // View-once transfers never get here
+}
+
+export interface EncodeSession {
+  file: File | null;
+  bundle?: File[]; // Multi-file selection; absent in sessions stored by older builds
+  result: string[] | null;
+  payload: EncodedPayload | null;
 }
 
 export interface MessengerLimit {
@@ -38,3 +141,126 @@ export const MESSENGER_LIMITS: MessengerLimit[] = [
   { id: 'titan', name: 'Titan (64k)', maxChars: 64000 },
   { id: 'god', name: 'God (200k)', maxChars: 200000 }
 ];
+
+export const CUSTOM_LIMIT_ID = 'custom';
+
+// QR transport: Base91 volumes this long fit a version 21 code at level M (101 modules)
+export const QR_VOLUME_CHARS = 700;
+export const QR_GRID_MAX = 6; // More volumes than this play as an animated sequence
+export const QR_FRAME_MS = 400; // Per code in the sequence; recordings are sampled 3x as often
+
+export interface TransferSettings {
+  limitId: string;        // One of MESSENGER_LIMITS ids, or CUSTOM_LIMIT_ID
+  customMaxChars: number;
+}
+
+// Compressed (and optionally sealed) stream kept around so it can be re-chunked
+export interface EncodedPayload {
+  type: MediaType;
+  alphabet: Alphabet;
+  bytes: Uint8Array;
+  redundancy: number;
+  sealed: boolean;
+  signed?: boolean; // Last volume is a signature; re-chunking signs again
+  recipient?: string; // Contact the payload is encrypted to
+  expiresAt?: number;
+  viewOnce?: boolean;
+  maxChars: number; // Limit the current volumes were cut for
+}
+
+export interface AlphabetOption {
+  id: Alphabet;
+  name: string;
+  hint: string;
+}
+
+export const ALPHABET_OPTIONS: AlphabetOption[] = [
+  { id: Alphabet.BASE32768, name: 'CJK Dense', hint: 'Messengers' },
+  { id: Alphabet.BASE91, name: 'ASCII Safe', hint: 'SMS / IRC / Email' }
+];
+
+export interface ImageStrategy {
+  id: 'fewest' | 'quality';
+  name: string;
+  maxEdge: number; // Longest side the search starts from
+}
+
+export const IMAGE_STRATEGIES: ImageStrategy[] = [
+  { id: 'fewest', name: 'Fewest Volumes', maxEdge: 1280 },
+  { id: 'quality', name: 'Best Quality', maxEdge: 2048 }
+];
+
+export interface VoiceBitrate {
+  id: string;
+  name: string;
+  bitsPerSecond: number;
+}
+
+export const VOICE_BITRATES: VoiceBitrate[] = [
+  { id: '6k', name: '6 kbps', bitsPerSecond: 6000 },
+  { id: '12k', name: '12 kbps', bitsPerSecond: 12000 },
+  { id: '16k', name: '16 kbps', bitsPerSecond: 16000 },
+  { id: '24k', name: '24 kbps', bitsPerSecond: 24000 }
+];
+
+export interface VideoPreset {
+  id: string;
+  name: string;
+  height: number; // Output height, width follows the aspect ratio
+  fps: number;
+  bitsPerSecond: number;
+}
+
+export const VIDEO_PRESETS: VideoPreset[] = [
+  { id: '240p', name: '240p', height: 240, fps: 12, bitsPerSecond: 120000 },
+  { id: '360p', name: '360p', height: 360, fps: 15, bitsPerSecond: 250000 },
+  { id: '480p', name: '480p', height: 480, fps: 24, bitsPerSecond: 500000 }
+];
+
+export interface MediaOptions {
+  imageTargetBytes?: number; // Byte budget for the transcoded image
+  imageMaxEdge?: number;
+  audioBitrate?: number; // Opus bits per second
+  trimStart?: number; // Seconds, also the video clip range
+  trimEnd?: number;
+  videoPreset?: VideoPreset;
+  onProgress?: (fraction: number) => void;
+  signal?: AbortSignal;
+}
+
+export interface ProcessedMedia {
+  bytes: Uint8Array;
+  width?: number;
+  height?: number;
+  quality?: number;
+  duration?: number; // Seconds actually sent
+  bitrate?: number;
+}
+
+export interface RedundancyLevel {
+  id: string;
+  name: string;
+  ratio: number; // Parity volumes per data volume
+}
+
+export const REDUNDANCY_LEVELS: RedundancyLevel[] = [
+  { id: 'none', name: 'None', ratio: 0 },
+  { id: 'light', name: '+10%', ratio: 0.1 },
+  { id: 'standard', name: '+25%', ratio: 0.25 },
+  { id: 'heavy', name: '+50%', ratio: 0.5 }
+];
+
+export interface ExpiryOption {
+  id: string;
+  name: string;
+  seconds: number; // Lifetime after encoding, 0 for none
+  viewOnce?: boolean;
+}
+
+export const EXPIRY_OPTIONS: ExpiryOption[] = [
+  { id: 'keep', name: 'Keep', seconds: 0 },
+  { id: 'once', name: 'View Once', seconds: 0, viewOnce: true },
+  { id: 'hour', name: '1 Hour', seconds: 3600 },
+  { id: 'day', name: '1 Day', seconds: 86400 },
+  { id: 'week', name: '1 Week', seconds: 604800 }
+];
@@ -1,15 +1,54 @@
 import path from 'path';
-import { defineConfig, loadEnv } from 'vite';
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { defineConfig, loadEnv, Plugin } from 'vite';
 import react from '@vitejs/plugin-react';
 
+/**
+ * Emits service-worker.js, manifest.json and the icons it names next to the build, with the
+ * worker's precache list set to exactly the files this build wrote (hashed names included) and
+ * its cache named after them, so every deploy installs as an update.
+ */
+const precacheManifest = (): Plugin => ({
+  name: 'ghostcomm-precache',
+  apply: 'build',
+  enforce: 'post', // After index.html and the worker chunk are in the bundle
+  generateBundle(_, bundle) {
+    const manifest = fs.readFileSync(path.resolve(__dirname, 'manifest.json'), 'utf-8');
+    this.emitFile({ type: 'asset', fileName: 'manifest.json', source: manifest });
+    for (const { src } of JSON.parse(manifest).icons as { src: string }[]) {
+      const fileName = path.posix.normalize(src); // "./icons/icon.svg" -> "icons/icon.svg"
+      this.emitFile({ type: 'asset', fileName, source: fs.readFileSync(path.resolve(__dirname, fileName)) });
+    }
+
+    const files = Object.keys(bundle).filter(name => !name.endsWith('.map')).sort();
+    const urls = ['./', ...files.map(name => `./${name}`)];
+    const buildId = createHash('sha256');
+    for (const name of files) {
+      const output = bundle[name];
+      buildId.update(name).update(output.type === 'chunk' ? output.code : output.source);
+    }
+
+    const template = fs.readFileSync(path.resolve(__dirname, 'service-worker.js'), 'utf-8');
+    if (!template.includes('__BUILD_ID__') || !template.includes('__PRECACHE_URLS__')) {
+      this.error('service-worker.js lost its __BUILD_ID__ / __PRECACHE_URLS__ placeholders');
+    }
+    const source = template
+      .replace('__BUILD_ID__', JSON.stringify(buildId.digest('hex').substring(0, 12)))
+      .replace('__PRECACHE_URLS__', JSON.stringify(urls, null, 2));
+    this.emitFile({ type: 'asset', fileName: 'service-worker.js', source });
+  }
+});
+
 export default defineConfig(({ mode }) => {
     const env = loadEnv(mode, '.', '');
     return {
+      base: './',
       server: {
         port: 3000,
         host: '0.0.0.0',
       },
-      plugins: [react()],
+      plugins: [react(), precacheManifest()],
       define: {
         'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
         'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
@@ -0,0 +1,20 @@
+import { defineConfig } from 'vite';
+
+// Node build of the protocol module and the ghostcomm CLI: no React, no DOM
+export default defineConfig({
+  build: {
+    ssr: true,
+    target: 'node18',
+    outDir: 'dist/node',
+    emptyOutDir: true,
+    rollupOptions: {
+      input: {
+        ghostcomm: 'cli/ghostcomm.ts',
+        protocol: 'services/protocol.ts'
+      },
+      output: {
+        entryFileNames: '[name].js'
+      }
+    }
+  }
+});
@@ -0,0 +1,22 @@
+import { defineConfig } from 'vite';
+
+// Node build of the conformance suite in tests/, run with node --test (see npm test)
+export default defineConfig({
+  build: {
+    ssr: true,
+    target: 'node18',
+    outDir: 'dist/test',
+    emptyOutDir: true,
+    rollupOptions: {
+      input: {
+        golden: 'tests/golden.test.ts',
+        properties: 'tests/properties.test.ts',
+        chatExport: 'tests/chatExport.test.ts',
+        qr: 'tests/qr.test.ts'
+      },
+      output: {
+        entryFileNames: '[name].test.js'
+      }
+    }
+  }
+});